@@ -0,0 +1,453 @@
+// ============================================================================
+// PlayCanvas Analytics
+// Batches gameplay events and ships them to an analytics sink
+// ============================================================================
+
+// AnalyticsManager listens to the EventBus events in
+// AnalyticsManager.TRACKED_EVENTS and queues a small record for each:
+//
+//   {
+//       session: 'lx2k9a-4f7q1c',   // new every time the game starts
+//       seq: 12,                     // order within the session
+//       event: 'quest:completed',
+//       time: <epoch ms>,
+//       gameMinutes: <TimeManager.getGameMinutes()>,
+//       data: { questId: 'side_gather_apples', minutesTaken: 410 }
+//   }
+//
+// The queue is kept in localStorage, so events recorded while offline (or
+// just before the tab closed) go out next time. Batches of up to batchSize
+// records are handed to the sink as { sentAt, events }; a sink that fails
+// leaves them queued for the next flush. Nothing is recorded or sent while
+// the player has opted out, or while there is no sink: by default the http
+// sink once an endpoint is set, otherwise none.
+
+// ----------------------------------------------------------------------------
+// ANALYTICS SINKS
+// Every sink exposes send(batch, callback(err)). Sinks that can hand a batch
+// to the browser as the page unloads also expose sendBeacon(batch), which
+// returns false when it is refused
+// ----------------------------------------------------------------------------
+
+// POSTs each batch as JSON to a collection endpoint
+var HttpAnalyticsSink = function(url) {
+    this.name = 'http';
+    this.url = url;
+};
+
+HttpAnalyticsSink.prototype.send = function(batch, callback) {
+    if (!this.url) {
+        callback(new Error('No analytics endpoint set'));
+        return;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        callback(new Error('Offline'));
+        return;
+    }
+
+    pc.http.post(this.url, batch, { retry: false }, function(err) {
+        callback(err ? new Error(String(err)) : null);
+    });
+};
+
+// Sent as text/plain so the browser needs no CORS preflight; the body is
+// the same JSON as send() posts
+HttpAnalyticsSink.prototype.sendBeacon = function(batch) {
+    if (!this.url || typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+        return false;
+    }
+    return navigator.sendBeacon(this.url, JSON.stringify(batch));
+};
+
+// Development: one console line per event
+var ConsoleAnalyticsSink = function() {
+    this.name = 'console';
+};
+
+ConsoleAnalyticsSink.prototype.send = function(batch, callback) {
+    batch.events.forEach(function(record) {
+        console.log('[Analytics] ' + record.event + ' ' + JSON.stringify(record.data));
+    });
+    callback(null);
+};
+
+// Development: collects newline-delimited JSON to download and inspect
+var FileAnalyticsSink = function() {
+    this.name = 'file';
+    this.lines = [];
+};
+
+FileAnalyticsSink.prototype.send = function(batch, callback) {
+    batch.events.forEach(function(record) {
+        this.lines.push(JSON.stringify(record));
+    }.bind(this));
+    callback(null);
+};
+
+FileAnalyticsSink.prototype.getText = function() {
+    return this.lines.join('\n') + (this.lines.length > 0 ? '\n' : '');
+};
+
+FileAnalyticsSink.prototype.download = function(fileName) {
+    var url = URL.createObjectURL(new Blob([this.getText()], { type: 'application/x-ndjson' }));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = fileName || 'analytics.ndjson';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+var AnalyticsSinks = {
+    sinks: {
+        http: HttpAnalyticsSink,
+        console: ConsoleAnalyticsSink,
+        file: FileAnalyticsSink
+    },
+
+    // null for no sink; 'auto' is http once there is an endpoint
+    create: function(type, endpoint) {
+        if (type === 'auto') type = endpoint ? 'http' : 'none';
+        if (type === 'none') return null;
+
+        var Sink = AnalyticsSinks.sinks[type];
+        if (!Sink) {
+            console.warn('[Analytics] Unknown sink "' + type + '", sending nothing');
+            return null;
+        }
+        return new Sink(endpoint);
+    }
+};
+
+
+// ----------------------------------------------------------------------------
+// ANALYTICS MANAGER
+// ----------------------------------------------------------------------------
+var AnalyticsManager = pc.createScript('analyticsManager');
+
+AnalyticsManager.getInstance = function() {
+    return AnalyticsManager._instance;
+};
+
+AnalyticsManager.QUEUE_KEY = 'cozy_game_analytics_queue';
+AnalyticsManager.OPT_OUT_KEY = 'cozy_game_analytics_opt_out';
+
+// Exact names or namespace wildcards; cancellable "before" events are skipped
+AnalyticsManager.TRACKED_EVENTS = ['quest:*', 'farming:*', 'magic:spellCast', 'game:saved'];
+
+AnalyticsManager.attributes.add('sink', {
+    type: 'string',
+    enum: [
+        { 'HTTP once an endpoint is set': 'auto' },
+        { 'None': 'none' },
+        { 'HTTP endpoint': 'http' },
+        { 'Console (development)': 'console' },
+        { 'File download (development)': 'file' }
+    ],
+    default: 'auto',
+    description: 'Where batches go; nothing is recorded without a sink'
+});
+
+AnalyticsManager.attributes.add('endpoint', {
+    type: 'string',
+    default: '',
+    description: 'URL batches are POSTed to by the http sink'
+});
+
+AnalyticsManager.attributes.add('batchSize', {
+    type: 'number',
+    default: 20,
+    description: 'Events per batch; a full batch is sent straight away'
+});
+
+AnalyticsManager.attributes.add('flushInterval', {
+    type: 'number',
+    default: 30,
+    description: 'Seconds between sends of a partial batch (and retries while offline)'
+});
+
+AnalyticsManager.attributes.add('maxQueuedEvents', {
+    type: 'number',
+    default: 1000,
+    description: 'Oldest events are dropped past this while the sink is unreachable'
+});
+
+// Turns event payloads into the record's data. Quest and plant objects carry
+// their whole definition, so only ids and timings are kept
+AnalyticsManager.payloads = {
+    'quest:started': function(quest) {
+        return { questId: quest.questID };
+    },
+    'quest:updated': function(quest) {
+        return {
+            questId: quest.questID,
+            objectivesDone: quest.objectives.filter(function(objective) {
+                return objective.isCompleted;
+            }).length,
+            objectives: quest.objectives.length
+        };
+    },
+    'quest:objectiveCompleted': function(quest, objectiveIndex) {
+        return { questId: quest.questID, objectiveIndex: objectiveIndex };
+    },
+    'quest:completed': function(quest) {
+        return { questId: quest.questID, minutesTaken: quest.completedAt - quest.startedAt };
+    },
+    'quest:loaded': function() {
+        return {};
+    },
+    'farming:planted': function(plant) {
+        return { plantId: plant.plantId, gridX: plant.gridX, gridY: plant.gridY };
+    },
+    'farming:watered': function(plant) {
+        return { plantId: plant.plantId, gridX: plant.gridX, gridY: plant.gridY };
+    },
+    'farming:ready': function(plant) {
+        return { plantId: plant.plantId, growMinutes: TimeManager.getGameMinutes() - plant.plantedAt };
+    },
+    'farming:harvested': function(result) {
+        return { plantId: result.plantId, yield: result.yield };
+    },
+    'magic:spellCast': function(spellId) {
+        return { spellId: spellId };
+    },
+    'game:saved': function(saveData, slot) {
+        return { slot: slot, playtime: Math.floor(saveData.playtime || 0) };
+    }
+};
+
+AnalyticsManager.prototype.initialize = function() {
+    AnalyticsManager._instance = this;
+
+    this.sessionId = this.createSessionId();
+    this.seq = 0;
+    this.queue = [];
+    this.sending = false;
+    this.failing = false; // Last send failed; retry on the interval, not per event
+    this.timeSinceFlush = 0;
+    // Memory-only, without a warning, where there is no localStorage (Node)
+    this.storage = SaveStorage.create(LocalStorageAdapter.isAvailable() ? 'localStorage' : 'memory');
+    this.sinkInstance = AnalyticsSinks.create(this.sink, this.endpoint);
+    this.optedOut = false;
+
+    this.loadState();
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        AnalyticsManager.TRACKED_EVENTS.forEach(function(eventName) {
+            if (EventBus.isWildcard(eventName)) {
+                eventBus.on(eventName, this.onTrackedEvent, this);
+                return;
+            }
+            eventBus.on(eventName, function() {
+                this.onTrackedEvent.apply(this, [eventName].concat(Array.prototype.slice.call(arguments)));
+            }, this);
+        }.bind(this));
+    }
+
+    // Try the queue as soon as the connection comes back, and once more on the way out
+    if (typeof window.addEventListener === 'function') {
+        window.addEventListener('online', this.flush.bind(this));
+        window.addEventListener('pagehide', this.flushOnUnload.bind(this));
+    }
+
+    console.log('[AnalyticsManager] Initialized - ' + (this.sinkInstance ? this.sinkInstance.name : 'no') +
+        ' sink, session ' + this.sessionId + (this.optedOut ? ' (opted out)' : ''));
+};
+
+// Not drawn from RandomService, so analytics never moves the game's streams
+AnalyticsManager.prototype.createSessionId = function() {
+    return Date.now().toString(36) + '-' + Math.floor(Math.random() * 2176782336).toString(36);
+};
+
+AnalyticsManager.prototype.update = function(dt) {
+    this.timeSinceFlush += dt;
+    if (this.timeSinceFlush >= this.flushInterval) {
+        this.flush();
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Recording
+// ----------------------------------------------------------------------------
+
+// (eventName, payload...), as wildcard listeners are called
+AnalyticsManager.prototype.onTrackedEvent = function(eventName) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    if (eventName.indexOf(':before') !== -1 || args[0] instanceof CancellableEvent) return;
+
+    // dispatch pads the payload out to eight arguments
+    while (args.length > 0 && args[args.length - 1] === undefined) args.pop();
+
+    this.track(eventName, args);
+};
+
+// Also usable directly for events that don't go through the EventBus
+AnalyticsManager.prototype.track = function(eventName, args) {
+    if (this.optedOut || !this.sinkInstance) return;
+
+    var payload = AnalyticsManager.payloads[eventName];
+    var data = payload ? payload.apply(null, args || []) : { args: EventRecorder.serializeValue(args || []) };
+
+    this.queue.push({
+        session: this.sessionId,
+        seq: this.seq++,
+        event: eventName,
+        time: Date.now(),
+        gameMinutes: TimeManager.getGameMinutes(),
+        data: data
+    });
+
+    if (this.queue.length > this.maxQueuedEvents) {
+        this.queue.splice(0, this.queue.length - this.maxQueuedEvents);
+    }
+    this.saveQueue();
+
+    if (this.queue.length >= this.batchSize && !this.failing) {
+        this.flush();
+    }
+};
+
+AnalyticsManager.prototype.getQueue = function() {
+    return this.queue;
+};
+
+// ----------------------------------------------------------------------------
+// Sending
+// ----------------------------------------------------------------------------
+
+// Sends queued events a batch at a time; callback(err) once the queue is
+// empty or a send fails. Only one send is in flight at a time
+AnalyticsManager.prototype.flush = function(callback) {
+    callback = typeof callback === 'function' ? callback : function() {};
+    this.timeSinceFlush = 0;
+
+    if (this.sending || this.optedOut || !this.sinkInstance || this.queue.length === 0) {
+        callback(null);
+        return;
+    }
+
+    var events = this.queue.slice(0, this.batchSize);
+    this.sending = true;
+
+    this.sinkInstance.send({ sentAt: Date.now(), events: events }, function(err) {
+        this.sending = false;
+
+        if (err) {
+            // Stays queued (and saved) until the next flush
+            if (!this.failing) {
+                console.warn('[AnalyticsManager] Send failed, queueing events until it works again:', err.message);
+            }
+            this.failing = true;
+            callback(err);
+            return;
+        }
+
+        if (this.failing) {
+            console.log('[AnalyticsManager] Sending again');
+            this.failing = false;
+        }
+
+        // An opt-out while sending has already emptied the queue
+        var sent = this.queue.indexOf(events[events.length - 1]) + 1;
+        this.queue.splice(0, sent);
+        this.saveQueue();
+
+        if (this.queue.length > 0) {
+            this.flush(callback);
+        } else {
+            callback(null);
+        }
+    }.bind(this));
+};
+
+// The browser drops requests still in flight when the page unloads, so the
+// last of the queue goes out as beacons. A batch already being POSTed is
+// beaconed again; seq lets the collector drop the duplicate. Whatever the
+// browser refuses stays in the stored queue for next time
+AnalyticsManager.prototype.flushOnUnload = function() {
+    if (this.optedOut || !this.sinkInstance || this.queue.length === 0) return;
+
+    if (typeof this.sinkInstance.sendBeacon !== 'function') {
+        this.flush();
+        return;
+    }
+
+    var sent = 0;
+    while (sent < this.queue.length) {
+        var events = this.queue.slice(sent, sent + this.batchSize);
+        if (!this.sinkInstance.sendBeacon({ sentAt: Date.now(), events: events })) break;
+        sent += events.length;
+    }
+
+    if (sent > 0) {
+        this.queue.splice(0, sent);
+        this.saveQueue();
+    }
+};
+
+// null sends nothing and stops recording
+AnalyticsManager.prototype.setSink = function(sink) {
+    this.sinkInstance = sink || null;
+};
+
+// ----------------------------------------------------------------------------
+// Opt-out
+// ----------------------------------------------------------------------------
+
+AnalyticsManager.prototype.isOptedOut = function() {
+    return this.optedOut;
+};
+
+// Opting out drops everything not yet sent
+AnalyticsManager.prototype.setOptOut = function(optedOut) {
+    this.optedOut = !!optedOut;
+    if (this.optedOut) {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    this.storage.setItem(AnalyticsManager.OPT_OUT_KEY, this.optedOut ? '1' : '0', function(err) {
+        if (err) console.warn('[AnalyticsManager] Could not remember the opt-out:', err);
+    });
+
+    console.log('[AnalyticsManager] ' + (this.optedOut ? 'Opted out' : 'Opted in'));
+};
+
+// ----------------------------------------------------------------------------
+// Persistence
+// ----------------------------------------------------------------------------
+
+AnalyticsManager.prototype.loadState = function() {
+    this.storage.getItem(AnalyticsManager.OPT_OUT_KEY, function(err, value) {
+        this.optedOut = !err && value === '1';
+    }.bind(this));
+
+    this.storage.getItem(AnalyticsManager.QUEUE_KEY, function(err, value) {
+        if (err || !value || this.optedOut) return;
+
+        try {
+            var queued = JSON.parse(value);
+            if (Array.isArray(queued)) this.queue = queued.concat(this.queue);
+        } catch (e) {
+            console.warn('[AnalyticsManager] Dropping unreadable queue:', e);
+        }
+    }.bind(this));
+};
+
+AnalyticsManager.prototype.saveQueue = function() {
+    this.storage.setItem(AnalyticsManager.QUEUE_KEY, JSON.stringify(this.queue), function(err) {
+        if (err) console.warn('[AnalyticsManager] Could not store the queue:', err);
+    });
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Analytics Loaded ===');
+console.log('- HttpAnalyticsSink, ConsoleAnalyticsSink, FileAnalyticsSink');
+console.log('- AnalyticsManager');
+console.log('===================================');
@@ -0,0 +1,255 @@
+// ============================================================================
+// PlayCanvas Content Linter
+// Resolves every id one data file uses to point at another
+// ============================================================================
+
+// Reports issues in the same shape as DataValidator (data-schemas.js):
+// { severity, file, recordId, field, message }. Dangling references are
+// errors; dialogue nodes no choice leads to are warnings. Runs at boot from
+// GameManager and standalone through tools/lint-content.js.
+
+// ----------------------------------------------------------------------------
+// CONTENT LINTER
+// ----------------------------------------------------------------------------
+var ContentLinter = {
+    // Dialogue choice actions; "prefix:" actions carry an id of that kind
+    dialogueActions: {
+        'open_shop': null,
+        'start_quest:': 'quests',
+        'learn_spell:': 'spells',
+        'give_item:': 'items'
+    },
+
+    // Dialogue starts at the node with this id, or the first node
+    dialogueStartNode: 'start',
+
+    // Achievement match fields that hold an id of that kind
+    achievementMatchFields: {
+        itemId: 'items',
+        plantId: 'plants',
+        questID: 'quests',
+        spellId: 'spells',
+        npcId: 'npcs'
+    },
+
+    idFields: {
+        items: 'itemID',
+        plants: 'plantID',
+        quests: 'questID',
+        spells: 'spellID',
+        npcs: 'npcID',
+        achievements: 'achievementID'
+    },
+
+    // dataByName: { items: [...], plants: [...], quests: [...], spells: [...], npcs: [...], achievements: [...] }
+    lint: function(dataByName) {
+        var issues = [];
+        var ids = ContentLinter.collectIds(dataByName);
+
+        var linter = {
+            ids: ids,
+            report: function(severity, file, recordId, field, message) {
+                issues.push({ severity: severity, file: file + '.json', recordId: recordId, field: field, message: message });
+            },
+            // Records a dangling reference unless id exists in kind
+            resolve: function(kind, id, file, recordId, field) {
+                if (typeof id !== 'string') return;
+                if (!ids[kind]) return; // That file isn't loaded, nothing to resolve against
+                if (!ids[kind][id]) {
+                    linter.report('error', file, recordId, field, '"' + id + '" is not defined in ' + kind + '.json');
+                }
+            }
+        };
+
+        ContentLinter.lintItems(ContentLinter.records(dataByName, 'items'), linter);
+        ContentLinter.lintPlants(ContentLinter.records(dataByName, 'plants'), linter);
+        ContentLinter.lintQuests(ContentLinter.records(dataByName, 'quests'), linter);
+        ContentLinter.lintNpcs(ContentLinter.records(dataByName, 'npcs'), linter);
+        ContentLinter.lintAchievements(ContentLinter.records(dataByName, 'achievements'), linter);
+
+        return issues;
+    },
+
+    records: function(dataByName, kind) {
+        return Array.isArray(dataByName[kind]) ? dataByName[kind].filter(function(record) {
+            return record && typeof record === 'object';
+        }) : [];
+    },
+
+    collectIds: function(dataByName) {
+        var ids = {};
+        Object.keys(ContentLinter.idFields).forEach(function(kind) {
+            if (!Array.isArray(dataByName[kind])) return;
+
+            ids[kind] = {};
+            ContentLinter.records(dataByName, kind).forEach(function(record) {
+                ids[kind][record[ContentLinter.idFields[kind]]] = record;
+            });
+        });
+        return ids;
+    },
+
+    lintItems: function(items, linter) {
+        items.forEach(function(item) {
+            linter.resolve('plants', item.plantID, 'items', item.itemID, 'plantID');
+
+            // A seed should grow the plant that names it as its seed
+            var plant = linter.ids.plants && linter.ids.plants[item.plantID];
+            if (plant && plant.seedItemID !== item.itemID) {
+                linter.report('warning', 'items', item.itemID, 'plantID',
+                    '"' + item.plantID + '" grows from "' + plant.seedItemID + '", not this item');
+            }
+        });
+    },
+
+    lintPlants: function(plants, linter) {
+        plants.forEach(function(plant) {
+            linter.resolve('items', plant.seedItemID, 'plants', plant.plantID, 'seedItemID');
+            if (plant.harvestYield) {
+                linter.resolve('items', plant.harvestYield.itemID, 'plants', plant.plantID, 'harvestYield.itemID');
+            }
+        });
+    },
+
+    lintQuests: function(quests, linter) {
+        quests.forEach(function(quest) {
+            var id = quest.questID;
+
+            (quest.prerequisites || []).forEach(function(prerequisite, index) {
+                linter.resolve('quests', prerequisite, 'quests', id, 'prerequisites[' + index + ']');
+                if (prerequisite === id) {
+                    linter.report('error', 'quests', id, 'prerequisites[' + index + ']', 'quest requires itself');
+                }
+            });
+
+            (quest.objectives || []).forEach(function(objective, index) {
+                var field = 'objectives[' + index + ']';
+                linter.resolve('items', objective.targetItemID, 'quests', id, field + '.targetItemID');
+                linter.resolve('npcs', objective.targetNPCID, 'quests', id, field + '.targetNPCID');
+            });
+
+            var rewardItems = quest.rewards && quest.rewards.items;
+            (rewardItems || []).forEach(function(reward, index) {
+                linter.resolve('items', reward.itemID, 'quests', id, 'rewards.items[' + index + '].itemID');
+            });
+        });
+    },
+
+    lintNpcs: function(npcs, linter) {
+        npcs.forEach(function(npc) {
+            (npc.shopInventory || []).forEach(function(entry, index) {
+                linter.resolve('items', entry.itemID, 'npcs', npc.npcID, 'shopInventory[' + index + '].itemID');
+            });
+
+            var trees = npc.dialogueTrees || {};
+            Object.keys(trees).forEach(function(treeName) {
+                ContentLinter.lintDialogueTree(npc.npcID, treeName, trees[treeName], linter);
+            });
+        });
+    },
+
+    lintDialogueTree: function(npcId, treeName, tree, linter) {
+        var nodes = tree && Array.isArray(tree.nodes) ? tree.nodes : [];
+        var path = 'dialogueTrees.' + treeName;
+        var nodesById = {};
+
+        nodes.forEach(function(node, index) {
+            if (nodesById[node.nodeID]) {
+                linter.report('error', 'npcs', npcId, path + '.nodes[' + index + '].nodeID', 'duplicate node "' + node.nodeID + '"');
+            }
+            nodesById[node.nodeID] = node;
+        });
+
+        nodes.forEach(function(node, nodeIndex) {
+            var nodePath = path + '.nodes[' + nodeIndex + ']';
+            linter.resolve('npcs', node.speaker, 'npcs', npcId, nodePath + '.speaker');
+
+            (node.choices || []).forEach(function(choice, choiceIndex) {
+                var choicePath = nodePath + '.choices[' + choiceIndex + ']';
+
+                if (choice.nextNodeID !== undefined && !nodesById[choice.nextNodeID]) {
+                    linter.report('error', 'npcs', npcId, choicePath + '.nextNodeID',
+                        'node "' + choice.nextNodeID + '" does not exist in this dialogue tree');
+                }
+                if (choice.action !== undefined) {
+                    ContentLinter.lintAction(choice.action, npcId, choicePath + '.action', linter);
+                }
+            });
+        });
+
+        ContentLinter.findUnreachableNodes(nodes, nodesById).forEach(function(node) {
+            linter.report('warning', 'npcs', npcId, path, 'node "' + node.nodeID + '" can never be reached');
+        });
+    },
+
+    lintAction: function(action, npcId, field, linter) {
+        var actions = ContentLinter.dialogueActions;
+
+        if (actions.hasOwnProperty(action) && actions[action] === null) return;
+
+        var separator = action.indexOf(':');
+        var prefix = separator === -1 ? action : action.slice(0, separator + 1);
+        if (separator === -1 || !actions.hasOwnProperty(prefix)) {
+            linter.report('warning', 'npcs', npcId, field, 'unknown dialogue action "' + action + '"');
+            return;
+        }
+
+        linter.resolve(actions[prefix], action.slice(separator + 1), 'npcs', npcId, field);
+    },
+
+    // Walks choices from the start node; whatever isn't visited is dead content
+    findUnreachableNodes: function(nodes, nodesById) {
+        if (nodes.length === 0) return [];
+
+        var start = nodesById[ContentLinter.dialogueStartNode] || nodes[0];
+        var visited = {};
+        var queue = [start];
+
+        while (queue.length > 0) {
+            var node = queue.shift();
+            if (visited[node.nodeID]) continue;
+            visited[node.nodeID] = true;
+
+            (node.choices || []).forEach(function(choice) {
+                var next = nodesById[choice.nextNodeID];
+                if (next && !visited[next.nodeID]) queue.push(next);
+            });
+        }
+
+        return nodes.filter(function(node) {
+            return !visited[node.nodeID];
+        });
+    },
+
+    lintAchievements: function(achievements, linter) {
+        achievements.forEach(function(achievement) {
+            var id = achievement.achievementID;
+            var condition = achievement.condition || {};
+            var match = condition.match || {};
+
+            Object.keys(match).forEach(function(field) {
+                var kind = ContentLinter.achievementMatchFields[field];
+                if (kind) linter.resolve(kind, match[field], 'achievements', id, 'condition.match.' + field);
+            });
+
+            // "Every main quest" with no main quests can never unlock
+            if (condition.type === 'questsCompleted' && condition.questType && linter.ids.quests) {
+                var hasQuests = Object.keys(linter.ids.quests).some(function(questId) {
+                    return linter.ids.quests[questId].questType === condition.questType;
+                });
+                if (!hasQuests) {
+                    linter.report('warning', 'achievements', id, 'condition.questType', 'no quest has type "' + condition.questType + '"');
+                }
+            }
+        });
+    }
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Content Linter Loaded ===');
+console.log('- ContentLinter');
+console.log('========================================');
@@ -0,0 +1,207 @@
+// ============================================================================
+// PlayCanvas Content Packs
+// Merges extra data directories over the base data/*.json by record id
+// ============================================================================
+
+// A pack is a directory with a pack.json ({ id, name, version, files }) and
+// one JSON array per data file it touches, e.g. packs/harvest-festival/items.json.
+// Each record says how it merges through its "$merge" field:
+//
+//   "add" (default) - new record; an id that already exists is an error
+//   "override"      - replaces the existing record outright
+//   "patch"         - deep-merges into the existing record: objects merge,
+//                     arrays and values replace, null removes the field
+//
+// Packs apply in manifest order, so a later pack wins. Issues use the
+// DataValidator shape ({ severity, file, recordId, field, message }).
+// Nothing here depends on pc, so tools/lint-content.js uses it as well.
+
+// ----------------------------------------------------------------------------
+// CONTENT PACKS
+// ----------------------------------------------------------------------------
+var ContentPacks = {
+    // Pack id recorded for records from data/*.json
+    BASE_PACK: 'base',
+
+    MERGE_FIELD: '$merge',
+
+    MERGE_MODES: ['add', 'override', 'patch'],
+
+    // baseData: { items: [...], ... } as loaded from data/. Returns the
+    // working content that applyPack() merges into:
+    //   data    - merged records by data file name
+    //   sources - data file -> record id -> [{ pack, mode }], oldest first
+    //   packs   - applied packs as { id, name, version }
+    createContent: function(baseData) {
+        var content = { data: {}, sources: {}, packs: [] };
+
+        Object.keys(baseData).forEach(function(name) {
+            var idField = ContentPacks.getIdField(name);
+            var records = Array.isArray(baseData[name]) ? baseData[name] : [];
+
+            content.data[name] = ContentPacks.clone(records);
+            content.sources[name] = {};
+
+            if (!idField) return;
+            records.forEach(function(record) {
+                if (record && typeof record[idField] === 'string') {
+                    content.sources[name][record[idField]] = [{ pack: ContentPacks.BASE_PACK, mode: 'add' }];
+                }
+            });
+        });
+
+        return content;
+    },
+
+    getIdField: function(name) {
+        return DataSchemas[name] ? DataSchemas[name].idField : null;
+    },
+
+    clone: function(value) {
+        return JSON.parse(JSON.stringify(value));
+    },
+
+    // pack: { id, name, version, path }; packData: { items: [...], ... }.
+    // Returns the issues found; records with errors are skipped
+    applyPack: function(content, pack, packData) {
+        var issues = [];
+
+        Object.keys(packData).forEach(function(name) {
+            var file = (pack.path ? pack.path + '/' : '') + name + '.json';
+            var report = function(severity, recordId, field, message) {
+                issues.push({ severity: severity, file: file, recordId: recordId, field: field, message: message });
+            };
+
+            var idField = ContentPacks.getIdField(name);
+            if (!idField) {
+                report('error', null, null, 'packs cannot add to ' + name + '.json (no schema)');
+                return;
+            }
+            if (!Array.isArray(packData[name])) {
+                report('error', null, null, 'expected an array of records');
+                return;
+            }
+
+            content.data[name] = content.data[name] || [];
+            content.sources[name] = content.sources[name] || {};
+
+            packData[name].forEach(function(record, index) {
+                var recordId = record && typeof record[idField] === 'string' ? record[idField] : null;
+                if (!recordId) {
+                    report('error', '#' + index, idField, 'record needs a string ' + idField);
+                    return;
+                }
+                ContentPacks.mergeRecord(content, name, idField, pack, record, function(severity, field, message) {
+                    report(severity, recordId, field, message);
+                });
+            });
+        });
+
+        content.packs.push({ id: pack.id, name: pack.name || pack.id, version: pack.version || null });
+        return issues;
+    },
+
+    mergeRecord: function(content, name, idField, pack, record, report) {
+        var mode = record[ContentPacks.MERGE_FIELD] || 'add';
+        if (ContentPacks.MERGE_MODES.indexOf(mode) === -1) {
+            report('error', ContentPacks.MERGE_FIELD, 'unknown merge mode "' + mode + '" (use ' + ContentPacks.MERGE_MODES.join(', ') + ')');
+            return;
+        }
+
+        var id = record[idField];
+        var records = content.data[name];
+        var index = ContentPacks.indexOfId(records, idField, id);
+        var history = content.sources[name][id];
+
+        var incoming = ContentPacks.clone(record);
+        delete incoming[ContentPacks.MERGE_FIELD];
+
+        if (mode === 'add' && index !== -1) {
+            report('error', idField, 'already defined by pack "' + history[history.length - 1].pack +
+                '" - set "' + ContentPacks.MERGE_FIELD + '" to "override" or "patch" to change it');
+            return;
+        }
+        if (mode === 'patch' && index === -1) {
+            report('error', idField, 'nothing to patch - "' + id + '" is not defined by an earlier pack');
+            return;
+        }
+        if (mode === 'override' && index === -1) {
+            report('warning', idField, 'nothing to override - adding "' + id + '" as a new record');
+        }
+
+        if (index === -1) {
+            records.push(incoming);
+        } else if (mode === 'patch') {
+            ContentPacks.patchRecord(records[index], incoming);
+        } else {
+            records[index] = incoming;
+        }
+
+        content.sources[name][id] = (history || []).concat([{ pack: pack.id, mode: mode }]);
+    },
+
+    indexOfId: function(records, idField, id) {
+        for (var i = 0; i < records.length; i++) {
+            if (records[i] && records[i][idField] === id) return i;
+        }
+        return -1;
+    },
+
+    patchRecord: function(target, patch) {
+        Object.keys(patch).forEach(function(key) {
+            var value = patch[key];
+            if (value === null) {
+                delete target[key];
+            } else if (DataValidator.typeOf(value) === 'object' && DataValidator.typeOf(target[key]) === 'object') {
+                ContentPacks.patchRecord(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    },
+
+    // Records a pack added or changed, by data file - what needs validating again
+    getPackRecords: function(content, packId) {
+        var touched = {};
+        Object.keys(content.sources).forEach(function(name) {
+            var idField = ContentPacks.getIdField(name);
+            var sources = content.sources[name];
+
+            touched[name] = content.data[name].filter(function(record) {
+                var history = sources[record[idField]];
+                return history && history[history.length - 1].pack === packId;
+            });
+        });
+        return touched;
+    },
+
+    // savedPacks and activePacks are [{ id, version }]. Returns the saved
+    // packs that aren't active, and the ones active at another version
+    comparePacks: function(savedPacks, activePacks) {
+        var result = { missing: [], versionChanged: [] };
+
+        (savedPacks || []).forEach(function(saved) {
+            var active = activePacks.find(function(pack) {
+                return pack.id === saved.id;
+            });
+
+            if (!active) {
+                result.missing.push(saved);
+            } else if (saved.version && active.version && saved.version !== active.version) {
+                result.versionChanged.push({ id: saved.id, name: active.name, savedVersion: saved.version, version: active.version });
+            }
+        });
+
+        return result;
+    }
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Content Packs Loaded ===');
+console.log('- ContentPacks');
+console.log('=======================================');
@@ -19,167 +19,1683 @@ EventBus.getInstance = function() {
     return EventBus._instance;
 };
 
+EventBus.attributes.add('devMode', {
+    type: 'boolean',
+    default: false,
+    description: 'Warn about undeclared events and payloads that do not match the event catalog'
+});
+
+EventBus.attributes.add('recordOnStart', {
+    type: 'boolean',
+    default: false,
+    description: 'Start recording a session log (event-recorder.js) whenever gameplay starts'
+});
+
+EventBus.attributes.add('maxRecordedEvents', {
+    type: 'number',
+    default: 10000,
+    description: 'Events kept per session log before recording stops capturing'
+});
+
 EventBus.prototype.initialize = function() {
     EventBus._instance = this;
-    this.events = new pc.EventHandler();
+    this.listeners = {}; // eventName or pattern -> listeners sorted by priority
+    this.nextListenerId = 0; // Keeps subscription order among equal priorities
+    this.reportedProblems = {}; // Dev-mode warnings already shown, so per-frame events don't flood the console
+
+    this.fireDepth = 0; // > 0 while listeners of another event are running
+    this.recorder = null;
+    this.lastRecording = null;
+    this.replay = null;
+
+    this.on('game:stateChanged', this.onGameStateChanged, this);
+
+    console.log('[EventBus] Initialized' + (this.devMode ? ' (dev mode)' : ''));
+};
+
+// eventName may be an exact name, a namespace wildcard ('quest:*') or '*'
+// for everything. Wildcard listeners receive the event name before the
+// payload. Higher priority listeners run first (default 0)
+EventBus.prototype.on = function(eventName, callback, scope, priority) {
+    if (this.devMode) this.checkDeclared(eventName, 'Listening to');
+    this.addListener(eventName, callback, scope, priority, false);
+};
+
+EventBus.prototype.once = function(eventName, callback, scope, priority) {
+    if (this.devMode) this.checkDeclared(eventName, 'Listening to');
+    this.addListener(eventName, callback, scope, priority, true);
+};
+
+// Without a callback every listener of eventName is removed
+EventBus.prototype.off = function(eventName, callback, scope) {
+    var listeners = (this.listeners[eventName] || []).slice();
+
+    listeners.forEach(function(listener) {
+        if (!callback || (listener.callback === callback && (!scope || listener.scope === scope))) {
+            this.removeListener(listener); // Also skipped if its event is mid-dispatch
+        }
+    }.bind(this));
+};
+
+EventBus.prototype.fire = function(eventName, arg1, arg2, arg3, arg4, arg5, arg6, arg7, arg8) {
+    if (this.devMode || this.recorder) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        if (this.devMode) this.checkPayload(eventName, args);
+        if (this.recorder) this.recorder.capture(eventName, args, this.fireDepth);
+    }
+
+    this.fireDepth++;
+    try {
+        this.dispatch(eventName, [arg1, arg2, arg3, arg4, arg5, arg6, arg7, arg8]);
+    } finally {
+        this.fireDepth--;
+    }
+};
+
+// Fires a cancellable "before" event (e.g. 'inventory:beforeAdd') carrying
+// details of an action that hasn't happened yet. Listeners may change the
+// details or call event.cancel(reason); the caller checks the returned
+// event before committing:
+//
+//   var before = eventBus.fireBefore('inventory:beforeAdd', { itemId: id, quantity: 3 });
+//   if (before.cancelled) return false;
+//   quantity = before.quantity;
+EventBus.prototype.fireBefore = function(eventName, details) {
+    var event = new CancellableEvent(details);
+    this.fire(eventName, event);
+    return event;
+};
+
+EventBus.prototype.addListener = function(eventName, callback, scope, priority, once) {
+    var listener = {
+        key: eventName,
+        callback: callback,
+        scope: scope,
+        priority: priority || 0,
+        once: once,
+        id: this.nextListenerId++,
+        removed: false
+    };
+
+    var listeners = this.listeners[eventName] || (this.listeners[eventName] = []);
+    var index = listeners.length;
+    while (index > 0 && listeners[index - 1].priority < listener.priority) index--;
+    listeners.splice(index, 0, listener);
+};
+
+EventBus.prototype.removeListener = function(listener) {
+    var listeners = this.listeners[listener.key];
+    var index = listeners ? listeners.indexOf(listener) : -1;
+    if (index === -1) return;
+
+    listener.removed = true;
+    listeners.splice(index, 1);
+    if (listeners.length === 0) {
+        delete this.listeners[listener.key];
+    }
+};
+
+EventBus.prototype.getMatchingListeners = function(eventName) {
+    var namespaceWildcard = eventName.split(':')[0] + ':*';
+
+    var matching = [];
+    [eventName, namespaceWildcard, '*'].forEach(function(key) {
+        (this.listeners[key] || []).forEach(function(listener) {
+            matching.push({ listener: listener, wildcard: key !== eventName });
+        });
+    }.bind(this));
+
+    return matching.sort(function(a, b) {
+        return (b.listener.priority - a.listener.priority) || (a.listener.id - b.listener.id);
+    });
+};
+
+EventBus.prototype.dispatch = function(eventName, args) {
+    var cancellable = args[0] instanceof CancellableEvent ? args[0] : null;
+    var wildcardArgs = [eventName].concat(args);
+
+    // Matches are gathered up front, so listeners added during dispatch wait
+    // for the next fire and removed ones are skipped
+    var matching = this.getMatchingListeners(eventName);
+    for (var i = 0; i < matching.length; i++) {
+        var listener = matching[i].listener;
+        if (listener.removed) continue;
+
+        if (listener.once) {
+            this.removeListener(listener);
+        }
+
+        listener.callback.apply(listener.scope, matching[i].wildcard ? wildcardArgs : args);
+
+        if (cancellable && cancellable.cancelled) break;
+    }
+};
+
+EventBus.prototype.setDevMode = function(enabled) {
+    this.devMode = enabled;
+    this.reportedProblems = {};
+};
+
+EventBus.prototype.update = function(dt) {
+    if (this.replay) {
+        this.replay.update(dt);
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Recording & replay (event-recorder.js)
+// ----------------------------------------------------------------------------
+
+// Only a session starting from the menu, not play resuming after a pause
+EventBus.prototype.onGameStateChanged = function(newState, oldState) {
+    if (newState === 'playing' && oldState === 'menu' && this.recordOnStart && !this.recorder && !this.replay) {
+        this.startRecording();
+    }
+};
+
+EventBus.prototype.isRecording = function() {
+    return !!this.recorder;
+};
+
+// Snapshots the current game state and logs every event fired from now on
+EventBus.prototype.startRecording = function() {
+    if (this.recorder) {
+        console.warn('[EventBus] Already recording');
+        return;
+    }
+
+    this.recorder = new EventRecorder(this, { maxEntries: this.maxRecordedEvents });
+    console.log('[EventBus] Recording started');
+};
+
+EventBus.prototype.stopRecording = function() {
+    if (!this.recorder) return this.lastRecording;
+
+    this.lastRecording = this.recorder.finish();
+    this.recorder = null;
+
+    console.log('[EventBus] Recording stopped (' + this.lastRecording.entries.length + ' entries)');
+    return this.lastRecording;
+};
+
+// Returns the session log as JSON text, stopping an active recording first
+EventBus.prototype.exportRecording = function() {
+    var log = this.stopRecording();
+    return log ? JSON.stringify(log) : null;
+};
+
+// options: { speed: 1, stepMode: false }. In step mode nothing fires until
+// stepReplay() is called
+EventBus.prototype.startReplay = function(logOrText, options) {
+    var log;
+    try {
+        log = EventRecorder.parseLog(logOrText);
+    } catch (e) {
+        console.error('[EventBus] Cannot replay: ' + e.message);
+        return null;
+    }
+
+    if (this.recorder) {
+        this.stopRecording();
+    }
+
+    this.replay = new EventReplay(this, log, options);
+    this.replay.start();
+    return this.replay;
+};
+
+EventBus.prototype.stepReplay = function() {
+    if (!this.replay) {
+        console.warn('[EventBus] No replay in progress');
+        return null;
+    }
+    return this.replay.step();
+};
+
+EventBus.prototype.stopReplay = function() {
+    if (this.replay) {
+        this.replay.finish();
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Event catalog checks (dev mode)
+// ----------------------------------------------------------------------------
+
+EventBus.prototype.report = function(message) {
+    if (this.reportedProblems[message]) return;
+    this.reportedProblems[message] = true;
+    console.warn('[EventBus] ' + message);
+};
+
+EventBus.prototype.checkDeclared = function(eventName, action) {
+    if (EventBus.catalog[eventName] || eventName === '*') return true;
+
+    // Most undeclared names are typos of a real event in the same namespace
+    var namespace = eventName.split(':')[0] + ':';
+    var related = Object.keys(EventBus.catalog).filter(function(name) {
+        return name.indexOf(namespace) === 0;
+    });
+
+    if (EventBus.isWildcard(eventName)) {
+        if (related.length > 0) return true;
+        this.report(action + ' wildcard "' + eventName + '" that matches no declared event');
+        return false;
+    }
+
+    this.report(action + ' undeclared event "' + eventName + '"' +
+        (related.length > 0 ? ' (declared: ' + related.join(', ') + ')' : ''));
+    return false;
+};
+
+EventBus.prototype.checkPayload = function(eventName, args) {
+    if (!this.checkDeclared(eventName, 'Firing')) return;
+
+    var params = EventBus.catalog[eventName].args.map(EventBus.parseParam);
+
+    // Trailing undefined arguments are the same as not passing them
+    var count = args.length;
+    while (count > 0 && args[count - 1] === undefined) count--;
+
+    if (count > params.length) {
+        this.report('"' + eventName + '" fired with ' + count + ' arguments, catalog declares ' + params.length);
+    }
+
+    params.forEach(function(param, index) {
+        var value = args[index];
+        if (value === undefined || value === null) {
+            if (!param.optional) {
+                this.report('"' + eventName + '" fired without required argument "' + param.name + '"');
+            }
+            return;
+        }
+
+        var actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (param.type !== 'any' && actualType !== param.type) {
+            this.report('"' + eventName + '" argument "' + param.name + '" should be ' + param.type + ' but was ' + actualType);
+        }
+    }.bind(this));
+};
+
+EventBus.prototype.getListenedEventNames = function() {
+    return Object.keys(this.listeners);
+};
+
+// Counts exact listeners only; wildcard patterns get their own row
+EventBus.prototype.getListenerCount = function(eventName) {
+    return this.listeners[eventName] ? this.listeners[eventName].length : 0;
+};
+
+// Prints and returns every declared event with its payload and listener count,
+// plus wildcard patterns and undeclared events that currently have listeners
+EventBus.prototype.dumpCatalog = function() {
+    var rows = Object.keys(EventBus.catalog).sort().map(function(eventName) {
+        var entry = EventBus.catalog[eventName];
+        return {
+            event: eventName,
+            args: entry.args.join(', '),
+            listeners: this.getListenerCount(eventName),
+            description: entry.description
+        };
+    }.bind(this));
+
+    this.getListenedEventNames().forEach(function(eventName) {
+        if (!EventBus.catalog[eventName] && this.getListenerCount(eventName) > 0) {
+            rows.push({
+                event: eventName,
+                args: '',
+                listeners: this.getListenerCount(eventName),
+                description: EventBus.isWildcard(eventName) ? 'WILDCARD' : 'UNDECLARED'
+            });
+        }
+    }.bind(this));
+
+    if (console.table) {
+        console.table(rows);
+    }
+    return rows;
+};
+
+
+// ----------------------------------------------------------------------------
+// CANCELLABLE EVENT - Payload of "before" events (EventBus.fireBefore)
+// Carries the action's details as properties listeners may change
+// ----------------------------------------------------------------------------
+var CancellableEvent = function(details) {
+    for (var key in details) {
+        if (details.hasOwnProperty(key)) {
+            this[key] = details[key];
+        }
+    }
+    this.cancelled = false;
+    this.cancelReason = null;
+};
+
+// Stops lower-priority listeners from seeing the event
+CancellableEvent.prototype.cancel = function(reason) {
+    this.cancelled = true;
+    this.cancelReason = reason || null;
+};
+
+CancellableEvent.prototype.toJSON = function() {
+    var copy = {};
+    for (var key in this) {
+        if (this.hasOwnProperty(key)) {
+            copy[key] = this[key];
+        }
+    }
+    return copy;
+};
+
+
+// ----------------------------------------------------------------------------
+// EVENT CATALOG - Every event fired through the EventBus and its payload
+// Arguments are 'name:type' with type string, number, boolean, object,
+// array or any; a trailing '?' marks an optional argument
+// ----------------------------------------------------------------------------
+EventBus.catalog = {};
+
+EventBus.isWildcard = function(eventName) {
+    return eventName === '*' || eventName.slice(-2) === ':*';
+};
+
+EventBus.parseParam = function(spec) {
+    var parts = spec.split(':');
+    var type = parts[1] || 'any';
+    var optional = type.charAt(type.length - 1) === '?';
+    return {
+        name: parts[0],
+        type: optional ? type.slice(0, -1) : type,
+        optional: optional
+    };
+};
+
+// Scripts outside this file (or content packs) declare their own events here
+EventBus.declareEvent = function(eventName, args, description) {
+    EventBus.catalog[eventName] = {
+        args: args || [],
+        description: description || ''
+    };
+};
+
+[
+    // Game
+    ['data:progress', ['progress:object'], 'A data file finished loading or gave up ({ name, succeeded, loaded, total, progress })'],
+    ['data:fileFailed', ['failure:object'], 'A data file failed to load ({ name, url, attempt, error, willRetry })'],
+    ['data:loadFailed', ['result:object'], 'Required data files could not be loaded ({ files: [{ name, url, error }] })'],
+    ['data:loaded', [], 'All JSON data loaded'],
+    ['data:validationFailed', ['result:object'], 'Data files broke their schemas ({ issues, errorCount, warningCount, blocking, report })'],
+    ['game:stateChanged', ['newState:string', 'oldState:string', 'stack:array?'], 'Game state changed (stack: states from the bottom up)'],
+    ['game:saved', ['saveData:object', 'slot:number'], 'Game saved to a slot'],
+    ['game:loaded', ['saveData:object', 'slot:number'], 'Save loaded from a slot'],
+    ['game:loadFailed', ['details:object'], 'Save could not be loaded ({ slot, reason, message, missingPacks? })'],
+    ['game:saveRecovered', ['details:object'], 'Damaged save replaced by a backup ({ slot, backupIndex, timestamp, errors })'],
+    ['game:saveDeleted', ['slot:number'], 'Save slot deleted'],
+    ['game:slotsChanged', ['saves:array'], 'Slot summaries changed'],
+    ['game:imported', ['saveData:object'], 'Exported save applied to the current game'],
+    ['game:offlineProgress', ['summary:object'], 'World caught up after a break ({ realSeconds, gameMinutes, capped, cropsReady, shopsRestocked, weather })'],
+
+    // Inventory
+    ['inventory:beforeAdd', ['event:object'], 'Cancellable - items about to be added ({ itemId, quantity })'],
+    ['inventory:beforeRemove', ['event:object'], 'Cancellable - items about to be removed ({ itemId, quantity })'],
+    ['inventory:changed', ['items:array', 'currency:object'], 'Inventory updated'],
+    ['inventory:addRefused', ['refusal:object'], 'Items could not be added ({ itemId, quantity, reason: full or tooHeavy })'],
+    ['inventory:encumbranceChanged', ['encumbered:boolean', 'weight:number', 'maxWeight:number'], 'Carried weight went over or back under the max weight'],
+
+    // Farming
+    ['farming:beforePlant', ['event:object'], 'Cancellable - seed about to be planted ({ plantId, gridX, gridY })'],
+    ['farming:planted', ['plant:object'], 'Seed planted'],
+    ['farming:watered', ['plant:object'], 'Plant watered'],
+    ['farming:ready', ['plant:object'], 'Plant ready to harvest'],
+    ['farming:beforeHarvest', ['event:object'], 'Cancellable - plant about to be harvested ({ plantId, gridX, gridY, yield })'],
+    ['farming:harvested', ['result:object'], 'Plant harvested ({ plantId, yield })'],
+
+    // Quests
+    ['quest:beforeStart', ['event:object'], 'Cancellable - quest about to start ({ questId })'],
+    ['quest:started', ['quest:object'], 'Quest started'],
+    ['quest:updated', ['quest:object'], 'Quest objective progressed'],
+    ['quest:objectiveCompleted', ['quest:object', 'objectiveIndex:number'], 'Objective completed'],
+    ['quest:completed', ['quest:object'], 'Quest completed'],
+    ['quest:loaded', [], 'Quest state replaced by a load or reset'],
+
+    // Dialogue
+    ['dialogue:started', ['npcName:string', 'node:object', 'source:object?'], 'Dialogue started (source: { npcId, treeName } when known)'],
+    ['dialogue:nodeChanged', ['node:object'], 'Moved to a new dialogue node'],
+    ['dialogue:ended', [], 'Dialogue ended'],
+
+    // Magic & combat
+    ['magic:spellLearned', ['spellId:string'], 'Spell learned'],
+    ['magic:beforeCast', ['event:object'], 'Cancellable - spell about to be cast ({ spellId, target })'],
+    ['magic:spellCast', ['spellId:string', 'target:any?'], 'Spell cast'],
+    ['combat:dealDamage', ['target:any', 'damage:number', 'damageType:string?'], 'Damage dealt to a target'],
+
+    // Shops
+    ['shop:purchased', ['purchase:object'], 'Player bought from a merchant ({ npcId, itemId, quantity, price })'],
+    ['shop:restocked', ['npcId:string', 'itemIds:array'], 'Merchant stock refilled'],
+
+    // Achievements
+    ['achievement:unlocked', ['achievement:object'], 'Achievement earned (its achievements.json record plus unlockedAt)'],
+
+    // Player
+    ['player:damaged', ['amount:number', 'health:number'], 'Player took damage'],
+    ['player:healed', ['amount:number', 'health:number'], 'Player healed'],
+    ['player:heal', ['amount:number'], 'Request to heal the player'],
+    ['player:gainExperience', ['amount:number'], 'Request to grant experience'],
+    ['player:died', [], 'Player died'],
+
+    // Time
+    ['time:tick', ['totalMinutes:number', 'minutes:number'], 'Game clock advanced (game minutes since day 1, minutes this tick)'],
+    ['time:hourChanged', ['hour:number'], 'Hour changed'],
+    ['time:dayChanged', ['day:number'], 'Day changed'],
+    ['time:seasonChanged', ['season:string'], 'Season changed'],
+
+    // Weather
+    ['weather:changing', ['weatherType:string'], 'Weather transition started'],
+
+    // Replay (never recorded)
+    ['replay:started', ['info:object'], 'Session log replay started ({ events, duration, stepMode })'],
+    ['replay:step', ['step:object'], 'Recorded event re-fired ({ index, total, entry })'],
+    ['replay:finished', ['report:object'], 'Replay done ({ events, diverged: [save sections that differ] })']
+].forEach(function(entry) {
+    EventBus.declareEvent(entry[0], entry[1], entry[2]);
+});
+
+
+// ----------------------------------------------------------------------------
+// SAVE SYSTEM - Slot-based persistence over pluggable storage (save-storage.js)
+// Replaces Unity's PlayerPrefs/BinaryFormatter
+// ----------------------------------------------------------------------------
+var SaveSystem = pc.createScript('saveSystem');
+
+SaveSystem.getInstance = function() {
+    if (!SaveSystem._instance) {
+        var root = pc.app.root.findByName('SaveSystem');
+        if (root) {
+            SaveSystem._instance = root.script.saveSystem;
+        }
+    }
+    return SaveSystem._instance;
+};
+
+// Current save format - bump this and register a migration whenever
+// the shape of the save payload or a manager's save section changes
+SaveSystem.SAVE_VERSION = '1.3.0';
+
+// Ordered migration steps. A step upgrades saves older than its version,
+// either the whole payload or a single manager section
+SaveSystem.migrations = [];
+
+SaveSystem.compareVersions = function(a, b) {
+    var partsA = String(a).split('.');
+    var partsB = String(b).split('.');
+    var length = Math.max(partsA.length, partsB.length);
+
+    for (var i = 0; i < length; i++) {
+        var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+        if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+};
+
+// step: { version, description, migrate, section (optional) }
+// Whole-payload steps receive and return the save data; section steps
+// receive and return that manager's getSaveData() output
+SaveSystem.registerMigration = function(step) {
+    if (!step || !step.version || typeof step.migrate !== 'function') {
+        console.error('[SaveSystem] Invalid migration step:', step);
+        return;
+    }
+
+    // Keep steps sorted by version, preserving registration order within a version
+    var index = SaveSystem.migrations.length;
+    while (index > 0 && SaveSystem.compareVersions(SaveSystem.migrations[index - 1].version, step.version) > 0) {
+        index--;
+    }
+    SaveSystem.migrations.splice(index, 0, step);
+};
+
+// Scripts that take part in saving, keyed by their save section name.
+// Static so scripts can register whichever order they initialize in
+SaveSystem.participants = {};
+
+// Any script can join saving by calling this from initialize():
+//   SaveSystem.registerParticipant('InventoryManager', this, { order: 20 });
+// The participant implements getSaveData()/loadSaveData(data). Options:
+//   order - lower loads and resets first (default 0)
+//   reset - function run on new game; defaults to participant.reset, false to skip
+SaveSystem.registerParticipant = function(key, participant, options) {
+    options = options || {};
+
+    if (!participant || typeof participant.getSaveData !== 'function' || typeof participant.loadSaveData !== 'function') {
+        console.error('[SaveSystem] Save participant "' + key + '" must implement getSaveData and loadSaveData');
+        return;
+    }
+
+    var existing = SaveSystem.participants[key];
+    if (existing && existing.target !== participant) {
+        console.warn('[SaveSystem] Duplicate save key "' + key + '" - replacing the previous participant');
+    }
+
+    var reset = options.reset !== undefined ? options.reset : participant.reset;
+
+    SaveSystem.participants[key] = {
+        key: key,
+        target: participant,
+        order: options.order || 0,
+        reset: typeof reset === 'function' ? reset : null
+    };
+
+    // Script instances drop out when their entity is destroyed
+    if (typeof participant.on === 'function') {
+        participant.on('destroy', function() {
+            SaveSystem.unregisterParticipant(key, participant);
+        });
+    }
+};
+
+SaveSystem.unregisterParticipant = function(key, participant) {
+    var existing = SaveSystem.participants[key];
+    if (existing && (!participant || existing.target === participant)) {
+        delete SaveSystem.participants[key];
+    }
+};
+
+SaveSystem.getParticipants = function() {
+    return Object.keys(SaveSystem.participants).map(function(key) {
+        return SaveSystem.participants[key];
+    }).sort(function(a, b) {
+        return a.order - b.order || (a.key < b.key ? -1 : 1);
+    });
+};
+
+// FNV-1a hash of the serialized payload, used to detect damaged or half-written saves
+SaveSystem.computeChecksum = function(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+};
+
+SaveSystem.attributes.add('storageBackend', {
+    type: 'string',
+    enum: [
+        { 'Local Storage': 'localStorage' },
+        { 'IndexedDB': 'indexedDB' },
+        { 'Memory (no persistence)': 'memory' }
+    ],
+    default: 'localStorage',
+    description: 'Where save slots are stored'
+});
+
+SaveSystem.attributes.add('offlineProgress', {
+    type: 'boolean',
+    default: false,
+    description: 'World keeps living: loading a save catches up on the real time since it was written'
+});
+
+SaveSystem.attributes.add('offlineTimeScale', {
+    type: 'number',
+    default: 1,
+    description: 'Game minutes that pass per real minute away'
+});
+
+SaveSystem.attributes.add('maxOfflineDays', {
+    type: 'number',
+    default: 3,
+    description: 'Most game days a single catch-up can cover'
+});
+
+SaveSystem.prototype.initialize = function() {
+    SaveSystem._instance = this;
+
+    this.saveKey = 'cozy_game_save';
+    this.slotCount = 3; // Number of save slots shown in the menu
+    this.backupCount = 3; // Previous good saves kept per slot
+    this.currentSlot = 0;
+    this.playtime = 0; // Seconds played in the current slot
+    this.autoSaveInterval = 60; // Auto-save every 60 seconds
+    this.autoSaveEnabled = true;
+    this.lastSaveTime = 0;
+
+    // Storage work runs one operation at a time, so an autosave can never
+    // interleave with a load or delete of the same slot
+    this.pendingOperations = [];
+    this.operationRunning = false;
+
+    // Cached slot summaries so menus can list saves without touching storage
+    this.slotMetadata = [];
+
+    // Sections from the loaded save that no participant claimed - written back
+    // unchanged so data from other builds or removed scripts is not lost
+    this.unclaimedSections = {};
+
+    // True while participants load or reset one by one; events fired then
+    // see some sections from the new state and some from the old
+    this.applyingSave = false;
+
+    this.setStorage(SaveStorage.create(this.storageBackend));
+
+    console.log('[SaveSystem] Initialized (' + this.storage.name + ')');
+};
+
+SaveSystem.prototype.setStorage = function(storage) {
+    this.storage = storage;
+    this.slotMetadata = [];
+
+    this.migrateLegacySave();
+    this.refreshSlotMetadata();
+};
+
+SaveSystem.prototype.update = function(dt) {
+    // Only track playtime and auto-save while a slot is actually being played
+    var gameManager = GameManager.getInstance();
+    if (!gameManager || !gameManager.isSystemActive('SaveSystem')) return;
+
+    this.playtime += dt;
+
+    if (this.autoSaveEnabled) {
+        this.lastSaveTime += dt;
+        if (this.lastSaveTime >= this.autoSaveInterval) {
+            this.saveGame();
+            this.lastSaveTime = 0;
+        }
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Storage helpers
+// ----------------------------------------------------------------------------
+
+SaveSystem.prototype.enqueue = function(operation) {
+    this.pendingOperations.push(operation);
+    if (!this.operationRunning) {
+        this.runNextOperation();
+    }
+};
+
+SaveSystem.prototype.runNextOperation = function() {
+    var operation = this.pendingOperations.shift();
+    if (!operation) {
+        this.operationRunning = false;
+        return;
+    }
+
+    this.operationRunning = true;
+
+    var finished = false;
+    var done = function() {
+        if (finished) return;
+        finished = true;
+        this.runNextOperation();
+    }.bind(this);
+
+    try {
+        operation.call(this, done);
+    } catch (e) {
+        console.error('[SaveSystem] Storage operation failed:', e);
+        done();
+    }
+};
+
+// Reads keys in order and calls back with their values (null where missing)
+SaveSystem.prototype.readKeys = function(keys, callback) {
+    var storage = this.storage;
+    var values = [];
+
+    var readNext = function() {
+        if (values.length === keys.length) {
+            callback(null, values);
+            return;
+        }
+        storage.getItem(keys[values.length], function(err, value) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            values.push(value);
+            readNext();
+        });
+    };
+    readNext();
+};
+
+// Applies writes in order; a null value removes the key
+SaveSystem.prototype.writeKeys = function(writes, callback) {
+    var storage = this.storage;
+    var index = 0;
+
+    var writeNext = function(err) {
+        if (err || index === writes.length) {
+            callback(err || null);
+            return;
+        }
+        var write = writes[index++];
+        if (write.value === null) {
+            storage.removeItem(write.key, writeNext);
+        } else {
+            storage.setItem(write.key, write.value, writeNext);
+        }
+    };
+    writeNext();
+};
+
+SaveSystem.prototype.getSlotKey = function(slot) {
+    return this.saveKey + '_slot' + slot;
+};
+
+SaveSystem.prototype.getMetadataKey = function(slot) {
+    return this.getSlotKey(slot) + '_meta';
+};
+
+SaveSystem.prototype.getBackupKey = function(slot, index) {
+    return this.getSlotKey(slot) + '_backup' + index;
+};
+
+// Newest first: the live save, then its backups
+SaveSystem.prototype.getSlotEntryKeys = function(slot) {
+    var keys = [this.getSlotKey(slot)];
+    for (var i = 0; i < this.backupCount; i++) {
+        keys.push(this.getBackupKey(slot, i));
+    }
+    return keys;
+};
+
+SaveSystem.prototype.isValidSlot = function(slot) {
+    return typeof slot === 'number' && slot >= 0 && slot < this.slotCount && Math.floor(slot) === slot;
+};
+
+SaveSystem.prototype.setCurrentSlot = function(slot) {
+    if (!this.isValidSlot(slot)) {
+        console.error('[SaveSystem] Invalid save slot:', slot);
+        return false;
+    }
+
+    this.currentSlot = slot;
+    this.playtime = 0;
+    this.lastSaveTime = 0;
+    return true;
+};
+
+// ----------------------------------------------------------------------------
+// Save / Load / Delete
+// All three are asynchronous - pass a callback to act on the result
+// ----------------------------------------------------------------------------
+
+SaveSystem.prototype.saveGame = function(slot, callback) {
+    if (slot === undefined || slot === null) slot = this.currentSlot;
+    callback = callback || function() {};
+
+    if (!this.isValidSlot(slot)) {
+        console.error('[SaveSystem] Invalid save slot:', slot);
+        callback(false);
+        return;
+    }
+
+    // Serialize now - managers hand out live objects, and the write only
+    // happens once the queue gets to it
+    var saveData, entryString, metadata;
+    try {
+        saveData = this.collectSaveData();
+        entryString = this.serializeSaveEntry(saveData);
+        metadata = this.buildSlotMetadata(slot, saveData);
+    } catch (e) {
+        console.error('[SaveSystem] Failed to collect save data:', e);
+        callback(false);
+        return;
+    }
+
+    this.currentSlot = slot;
+
+    this.enqueue(function(done) {
+        this.readKeys(this.getSlotEntryKeys(slot), function(err, entries) {
+            if (err) {
+                this.onSaveFailed(slot, err, callback, done);
+                return;
+            }
+
+            var writes = this.planBackupRotation(slot, entries);
+            writes.push({ key: this.getSlotKey(slot), value: entryString });
+            writes.push({ key: this.getMetadataKey(slot), value: JSON.stringify(metadata) });
+
+            this.writeKeys(writes, function(err) {
+                if (err) {
+                    this.onSaveFailed(slot, err, callback, done);
+                    return;
+                }
+
+                this.setSlotMetadata(slot, metadata);
+
+                var eventBus = EventBus.getInstance();
+                if (eventBus) {
+                    eventBus.fire('game:saved', saveData, slot);
+                }
+
+                console.log('[SaveSystem] Game saved to slot ' + slot);
+                done();
+                callback(true);
+            }.bind(this));
+        }.bind(this));
+    });
+};
+
+SaveSystem.prototype.onSaveFailed = function(slot, err, callback, done) {
+    console.error('[SaveSystem] Failed to save game to slot ' + slot + ':', err);
+    done();
+    callback(false);
+};
+
+SaveSystem.prototype.loadGame = function(slot, callback) {
+    if (slot === undefined || slot === null) slot = this.currentSlot;
+    callback = callback || function() {};
+
+    if (!this.isValidSlot(slot)) {
+        console.error('[SaveSystem] Invalid save slot:', slot);
+        callback(null);
+        return;
+    }
+
+    this.enqueue(function(done) {
+        this.readKeys(this.getSlotEntryKeys(slot), function(err, entries) {
+            if (err) {
+                this.fireLoadFailed(slot, 'storageError', err.message || String(err));
+                done();
+                callback(null);
+                return;
+            }
+
+            var entry = this.findNewestValidEntry(slot, entries);
+            if (!entry) {
+                console.log('[SaveSystem] No save file found in slot ' + slot);
+                done();
+                callback(null);
+                return;
+            }
+            if (!entry.saveData) {
+                this.fireLoadFailed(slot, 'corrupted', 'The save and all of its backups are damaged');
+                done();
+                callback(null);
+                return;
+            }
+
+            var saveData = this.applyLoadedSave(slot, entry.saveData);
+            if (!saveData) {
+                done();
+                callback(null);
+                return;
+            }
+
+            this.applyOfflineProgress(saveData);
+
+            // Fell back to a backup - make it the live save again and let the UI explain
+            if (entry.index > 0) {
+                this.restoreBackup(slot, entry, saveData, function() {
+                    this.fireLoaded(slot, saveData);
+                    done();
+                    callback(saveData);
+                }.bind(this));
+                return;
+            }
+
+            this.fireLoaded(slot, saveData);
+            done();
+            callback(saveData);
+        }.bind(this));
+    });
+};
+
+// Version check, migration and hand-off to the managers; returns null on failure
+SaveSystem.prototype.applyLoadedSave = function(slot, saveData) {
+    try {
+        saveData = this.upgradeSaveData(saveData);
+        this.checkContentPacks(saveData);
+        this.applySaveData(saveData);
+    } catch (e) {
+        console.error('[SaveSystem] Failed to load game:', e);
+        this.fireLoadFailed(slot, e.reason || 'error', e.message, e.missingPacks);
+        return null;
+    }
+
+    this.currentSlot = slot;
+    this.playtime = saveData.playtime || 0;
+    this.lastSaveTime = 0;
+    return saveData;
+};
+
+// ----------------------------------------------------------------------------
+// Offline progress
+// ----------------------------------------------------------------------------
+
+// Game minutes to catch up on for a save written at timestamp
+SaveSystem.prototype.getOfflineMinutes = function(timestamp) {
+    var realMinutes = (Date.now() - timestamp) / 60000;
+    if (!(realMinutes > 0)) return 0;
+
+    return Math.min(realMinutes * this.offlineTimeScale, this.maxOfflineDays * 24 * 60);
+};
+
+// Participants with catchUp(gameMinutes) fast-forward in load order - the
+// clock first, so crops and shops react to its tick with their own logic.
+// The events they fire on the way make up the summary
+SaveSystem.prototype.applyOfflineProgress = function(saveData) {
+    if (!this.offlineProgress || !saveData.timestamp) return null;
+
+    var minutes = this.getOfflineMinutes(saveData.timestamp);
+    if (minutes < 1) return null;
+
+    var summary = {
+        realSeconds: Math.floor((Date.now() - saveData.timestamp) / 1000),
+        gameMinutes: Math.floor(minutes),
+        capped: minutes >= this.maxOfflineDays * 24 * 60,
+        cropsReady: 0,
+        shopsRestocked: 0,
+        weather: null
+    };
+
+    var listeners = {
+        'farming:ready': function() {
+            summary.cropsReady++;
+        },
+        'shop:restocked': function() {
+            summary.shopsRestocked++;
+        },
+        'weather:changing': function(weatherType) {
+            summary.weather = weatherType;
+        }
+    };
+
+    var eventBus = EventBus.getInstance();
+    var name;
+    if (eventBus) {
+        for (name in listeners) eventBus.on(name, listeners[name], this);
+    }
+
+    SaveSystem.getParticipants().forEach(function(participant) {
+        if (typeof participant.target.catchUp === 'function') {
+            participant.target.catchUp(minutes);
+        }
+    });
+
+    if (eventBus) {
+        for (name in listeners) eventBus.off(name, listeners[name], this);
+        eventBus.fire('game:offlineProgress', summary);
+    }
+
+    console.log('[SaveSystem] Caught up ' + summary.gameMinutes + ' game minutes (' +
+        summary.cropsReady + ' crops ready, ' + summary.shopsRestocked + ' shops restocked)');
+    return summary;
+};
+
+SaveSystem.prototype.restoreBackup = function(slot, entry, saveData, callback) {
+    var metadata = this.buildSlotMetadata(slot, saveData);
+
+    this.writeKeys([
+        { key: this.getSlotKey(slot), value: entry.entryString },
+        { key: this.getMetadataKey(slot), value: JSON.stringify(metadata) }
+    ], function(err) {
+        if (err) {
+            console.error('[SaveSystem] Failed to restore backup into slot ' + slot + ':', err);
+        } else {
+            this.setSlotMetadata(slot, metadata);
+        }
+
+        console.warn('[SaveSystem] Slot ' + slot + ' restored from backup ' + (entry.index - 1));
+
+        var eventBus = EventBus.getInstance();
+        if (eventBus) {
+            eventBus.fire('game:saveRecovered', {
+                slot: slot,
+                backupIndex: entry.index - 1,
+                timestamp: saveData.timestamp,
+                errors: entry.errors
+            });
+        }
+
+        callback();
+    }.bind(this));
+};
+
+SaveSystem.prototype.fireLoaded = function(slot, saveData) {
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('game:loaded', saveData, slot);
+    }
+
+    console.log('[SaveSystem] Game loaded from slot ' + slot);
+};
+
+SaveSystem.prototype.deleteSave = function(slot, callback) {
+    if (slot === undefined || slot === null) slot = this.currentSlot;
+    callback = callback || function() {};
+
+    if (!this.isValidSlot(slot)) {
+        console.error('[SaveSystem] Invalid save slot:', slot);
+        callback(false);
+        return;
+    }
+
+    this.enqueue(function(done) {
+        var writes = this.getSlotEntryKeys(slot).concat([this.getMetadataKey(slot)]).map(function(key) {
+            return { key: key, value: null };
+        });
+
+        this.writeKeys(writes, function(err) {
+            if (err) {
+                console.error('[SaveSystem] Failed to delete slot ' + slot + ':', err);
+                done();
+                callback(false);
+                return;
+            }
+
+            this.setSlotMetadata(slot, null);
+
+            var eventBus = EventBus.getInstance();
+            if (eventBus) {
+                eventBus.fire('game:saveDeleted', slot);
+            }
+
+            console.log('[SaveSystem] Save file deleted from slot ' + slot);
+            done();
+            callback(true);
+        }.bind(this));
+    });
+};
+
+// ----------------------------------------------------------------------------
+// Integrity
+// ----------------------------------------------------------------------------
+
+// Each stored entry wraps the JSON payload with its checksum
+SaveSystem.prototype.serializeSaveEntry = function(saveData) {
+    var payload = JSON.stringify(saveData);
+    return JSON.stringify({
+        checksum: SaveSystem.computeChecksum(payload),
+        payload: payload
+    });
+};
+
+SaveSystem.prototype.parseSaveEntry = function(entryString) {
+    var entry = JSON.parse(entryString);
+
+    // Saves written before checksums were added are the bare payload
+    var saveData = entry;
+    if (entry && typeof entry.payload === 'string') {
+        if (SaveSystem.computeChecksum(entry.payload) !== entry.checksum) {
+            throw new Error('Checksum mismatch');
+        }
+        saveData = JSON.parse(entry.payload);
+    }
+
+    if (!saveData || !saveData.data) {
+        throw new Error('Missing save data');
+    }
+    return saveData;
+};
+
+// Given the slot's stored entries (newest first), returns { saveData, entryString,
+// index, errors } for the newest one that passes its checksum, { saveData: null,
+// errors } if every entry is damaged, or null if the slot is empty
+SaveSystem.prototype.findNewestValidEntry = function(slot, entries) {
+    var keys = this.getSlotEntryKeys(slot);
+    var errors = [];
+
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i] === null) continue;
+
+        try {
+            return {
+                saveData: this.parseSaveEntry(entries[i]),
+                entryString: entries[i],
+                index: i,
+                errors: errors
+            };
+        } catch (e) {
+            console.warn('[SaveSystem] Damaged save entry ' + keys[i] + ': ' + e.message);
+            errors.push({ key: keys[i], message: e.message });
+        }
+    }
+
+    return errors.length > 0 ? { saveData: null, errors: errors } : null;
+};
+
+// Shift the current save into the backup chain, but only if it is still good -
+// a damaged save must never push a valid backup out
+SaveSystem.prototype.planBackupRotation = function(slot, entries) {
+    var currentString = entries[0];
+    if (currentString === null || this.backupCount <= 0) return [];
+
+    try {
+        this.parseSaveEntry(currentString);
+    } catch (e) {
+        console.warn('[SaveSystem] Not backing up damaged save in slot ' + slot + ': ' + e.message);
+        return [];
+    }
+
+    // Oldest first, so an interrupted rotation only ever duplicates a backup
+    var writes = [];
+    for (var i = this.backupCount - 1; i > 0; i--) {
+        if (entries[i] !== null) {
+            writes.push({ key: this.getBackupKey(slot, i), value: entries[i] });
+        }
+    }
+    writes.push({ key: this.getBackupKey(slot, 0), value: currentString });
+    return writes;
+};
+
+// ----------------------------------------------------------------------------
+// Versioning
+// ----------------------------------------------------------------------------
+
+// Refuses saves from newer builds, migrates older ones; throws with error.reason set
+SaveSystem.prototype.upgradeSaveData = function(saveData) {
+    var saveVersion = saveData.version || '1.0.0';
+
+    if (SaveSystem.compareVersions(saveVersion, SaveSystem.SAVE_VERSION) > 0) {
+        var error = new Error('This save was made with a newer version of the game (' + saveVersion + ')');
+        error.reason = 'newerVersion';
+        throw error;
+    }
+
+    return this.migrateSaveData(saveData);
+};
+
+SaveSystem.prototype.migrateSaveData = function(saveData) {
+    var fromVersion = saveData.version || '1.0.0';
+
+    SaveSystem.migrations.forEach(function(step) {
+        if (SaveSystem.compareVersions(fromVersion, step.version) >= 0 ||
+            SaveSystem.compareVersions(step.version, SaveSystem.SAVE_VERSION) > 0) {
+            return;
+        }
+
+        try {
+            if (step.section) {
+                if (saveData.data && saveData.data[step.section] !== undefined) {
+                    saveData.data[step.section] = step.migrate(saveData.data[step.section], saveData);
+                }
+            } else {
+                saveData = step.migrate(saveData);
+            }
+        } catch (e) {
+            var error = new Error('Migration to ' + step.version + (step.section ? ' (' + step.section + ')' : '') + ' failed: ' + e.message);
+            error.reason = 'migrationFailed';
+            throw error;
+        }
+
+        console.log('[SaveSystem] Migrated save to ' + step.version + (step.section ? ' (' + step.section + ')' : '') +
+            (step.description ? ': ' + step.description : ''));
+    });
+
+    saveData.version = SaveSystem.SAVE_VERSION;
+    return saveData;
+};
+
+// Saves name the content packs they were played with. Throws with reason
+// 'missingPacks' when any of them isn't active, unless the GameManager allows it
+SaveSystem.prototype.checkContentPacks = function(saveData) {
+    var gameManager = GameManager.getInstance();
+    if (!gameManager) return;
+
+    var result = ContentPacks.comparePacks(saveData.contentPacks, gameManager.getActivePacks());
+
+    result.versionChanged.forEach(function(pack) {
+        console.warn('[SaveSystem] Save used ' + pack.name + ' ' + pack.savedVersion + ', now running ' + pack.version);
+    });
+
+    if (result.missing.length === 0) return;
+
+    var names = result.missing.map(function(pack) {
+        return pack.name || pack.id;
+    }).join(', ');
+
+    if (gameManager.allowMissingPacks) {
+        console.warn('[SaveSystem] Loading without content packs: ' + names);
+        return;
+    }
+
+    var error = new Error('This save needs content packs that are not installed: ' + names);
+    error.reason = 'missingPacks';
+    error.missingPacks = result.missing;
+    throw error;
+};
+
+SaveSystem.prototype.fireLoadFailed = function(slot, reason, message, missingPacks) {
+    console.error('[SaveSystem] Could not load slot ' + slot + ': ' + message);
+
+    var details = { slot: slot, reason: reason, message: message };
+    if (missingPacks) {
+        details.missingPacks = missingPacks;
+    }
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('game:loadFailed', details);
+    }
+};
+
+SaveSystem.prototype.collectSaveData = function() {
+    var gameManager = GameManager.getInstance();
+
+    var saveData = {
+        version: SaveSystem.SAVE_VERSION,
+        timestamp: Date.now(),
+        playerName: gameManager ? gameManager.playerName : 'Player',
+        playtime: Math.floor(this.playtime),
+        contentPacks: gameManager ? gameManager.getActivePacks() : [],
+        data: {}
+    };
+
+    for (var key in this.unclaimedSections) {
+        saveData.data[key] = this.unclaimedSections[key];
+    }
+
+    // Collect data from all registered participants
+    SaveSystem.getParticipants().forEach(function(participant) {
+        saveData.data[participant.key] = participant.target.getSaveData();
+    });
+
+    return saveData;
+};
+
+SaveSystem.prototype.applySaveData = function(saveData) {
+    if (!saveData || !saveData.data) {
+        console.error('[SaveSystem] Invalid save data');
+        return;
+    }
+
+    var gameManager = GameManager.getInstance();
+    if (gameManager && saveData.playerName) {
+        gameManager.playerName = saveData.playerName;
+    }
+
+    // Apply data to all participants in load order. Participants missing
+    // from the save start fresh rather than keeping the previous slot's state
+    this.applyingSave = true;
+    try {
+        SaveSystem.getParticipants().forEach(function(participant) {
+            if (saveData.data[participant.key] !== undefined) {
+                participant.target.loadSaveData(saveData.data[participant.key]);
+            } else if (participant.reset) {
+                participant.reset.call(participant.target);
+            }
+        });
+    } finally {
+        this.applyingSave = false;
+    }
+
+    this.unclaimedSections = {};
+    for (var key in saveData.data) {
+        if (!SaveSystem.participants[key]) {
+            console.warn('[SaveSystem] No participant for saved section "' + key + '" - keeping it untouched');
+            this.unclaimedSections[key] = saveData.data[key];
+        }
+    }
+};
+
+// Puts every participant back to a new-game state
+SaveSystem.prototype.resetParticipants = function() {
+    this.unclaimedSections = {};
+
+    this.applyingSave = true;
+    try {
+        SaveSystem.getParticipants().forEach(function(participant) {
+            if (participant.reset) {
+                participant.reset.call(participant.target);
+            }
+        });
+    } finally {
+        this.applyingSave = false;
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Export / Import
+// Portable text format: COZYSAVE1.<gz|raw>.<base64 of the checksummed entry>
+// ----------------------------------------------------------------------------
+
+SaveSystem.EXPORT_PREFIX = 'COZYSAVE1';
+
+SaveSystem.bytesToBase64 = function(bytes) {
+    var binary = '';
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+SaveSystem.base64ToBytes = function(base64) {
+    var binary = atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+// Pipes bytes through a (De)CompressionStream; callback(err, Uint8Array)
+SaveSystem.transformBytes = function(bytes, transform, callback) {
+    var stream = new Blob([bytes]).stream().pipeThrough(transform);
+    new Response(stream).arrayBuffer().then(function(buffer) {
+        callback(null, new Uint8Array(buffer));
+    }, callback);
+};
+
+// Exports the current game (not a stored slot) so QA can grab live state
+SaveSystem.prototype.exportSave = function(callback) {
+    var entryString;
+    try {
+        entryString = this.serializeSaveEntry(this.collectSaveData());
+    } catch (e) {
+        callback(e);
+        return;
+    }
+
+    var bytes = new TextEncoder().encode(entryString);
+
+    // gzip where the browser supports it, plain base64 otherwise
+    if (typeof CompressionStream === 'undefined') {
+        callback(null, SaveSystem.EXPORT_PREFIX + '.raw.' + SaveSystem.bytesToBase64(bytes));
+        return;
+    }
+
+    SaveSystem.transformBytes(bytes, new CompressionStream('gzip'), function(err, compressed) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, SaveSystem.EXPORT_PREFIX + '.gz.' + SaveSystem.bytesToBase64(compressed));
+    });
+};
+
+SaveSystem.prototype.importSave = function(text, callback) {
+    callback = callback || function() {};
+
+    var fail = function(err) {
+        console.error('[SaveSystem] Failed to import save:', err);
+        callback(err);
+    };
+
+    var parts = String(text).replace(/\s+/g, '').split('.');
+    if (parts.length !== 3 || parts[0] !== SaveSystem.EXPORT_PREFIX || (parts[1] !== 'gz' && parts[1] !== 'raw')) {
+        fail(new Error('Not a Cozy Game save file'));
+        return;
+    }
+
+    var bytes;
+    try {
+        bytes = SaveSystem.base64ToBytes(parts[2]);
+    } catch (e) {
+        fail(new Error('Save file is damaged'));
+        return;
+    }
 
-    console.log('[EventBus] Initialized');
-};
+    var applyImport = function(err, entryBytes) {
+        if (err) {
+            fail(new Error('Save file is damaged'));
+            return;
+        }
 
-EventBus.prototype.on = function(eventName, callback, scope) {
-    this.events.on(eventName, callback, scope);
-};
+        var saveData;
+        try {
+            saveData = this.parseSaveEntry(new TextDecoder().decode(entryBytes));
+            saveData = this.upgradeSaveData(saveData);
+            this.checkContentPacks(saveData);
+            this.applySaveData(saveData);
+        } catch (e) {
+            fail(e);
+            return;
+        }
 
-EventBus.prototype.off = function(eventName, callback, scope) {
-    this.events.off(eventName, callback, scope);
-};
+        this.playtime = saveData.playtime || 0;
+        this.lastSaveTime = 0;
 
-EventBus.prototype.fire = function(eventName, arg1, arg2, arg3, arg4, arg5, arg6, arg7, arg8) {
-    this.events.fire(eventName, arg1, arg2, arg3, arg4, arg5, arg6, arg7, arg8);
-};
+        var eventBus = EventBus.getInstance();
+        if (eventBus) {
+            eventBus.fire('game:imported', saveData);
+        }
 
-EventBus.prototype.once = function(eventName, callback, scope) {
-    this.events.once(eventName, callback, scope);
-};
+        console.log('[SaveSystem] Save imported');
+        callback(null, saveData);
+    }.bind(this);
 
+    if (parts[1] === 'raw') {
+        applyImport(null, bytes);
+    } else if (typeof DecompressionStream === 'undefined') {
+        fail(new Error('This browser cannot read compressed save files'));
+    } else {
+        SaveSystem.transformBytes(bytes, new DecompressionStream('gzip'), applyImport);
+    }
+};
 
 // ----------------------------------------------------------------------------
-// SAVE SYSTEM - LocalStorage-based persistence
-// Replaces Unity's PlayerPrefs/BinaryFormatter
+// Slot metadata
 // ----------------------------------------------------------------------------
-var SaveSystem = pc.createScript('saveSystem');
 
-SaveSystem.getInstance = function() {
-    if (!SaveSystem._instance) {
-        var root = pc.app.root.findByName('SaveSystem');
-        if (root) {
-            SaveSystem._instance = root.script.saveSystem;
-        }
+// Summary shown in the slot picker, stored next to the save so listing
+// slots never has to parse full payloads
+SaveSystem.prototype.buildSlotMetadata = function(slot, saveData) {
+    var data = saveData.data || {};
+    var time = data.TimeManager || {};
+    var inventory = data.InventoryManager || {};
+    var currency = inventory.currency || {};
+
+    return {
+        slot: slot,
+        empty: false,
+        playerName: saveData.playerName || 'Player',
+        day: time.currentDay || 1,
+        season: time.currentSeason || 'spring',
+        dayOfSeason: time.dayOfSeason || 1,
+        playtime: saveData.playtime || 0,
+        gold: currency.gold || 0,
+        contentPacks: saveData.contentPacks || [],
+        timestamp: saveData.timestamp
+    };
+};
+
+SaveSystem.prototype.setSlotMetadata = function(slot, metadata) {
+    this.slotMetadata[slot] = metadata;
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('game:slotsChanged', this.listSaves());
     }
-    return SaveSystem._instance;
 };
 
-SaveSystem.prototype.initialize = function() {
-    SaveSystem._instance = this;
+// Reloads every slot summary from storage, rebuilding any that went missing
+SaveSystem.prototype.refreshSlotMetadata = function(callback) {
+    callback = callback || function() {};
+
+    this.enqueue(function(done) {
+        var slot = 0;
+
+        var refreshNext = function() {
+            if (slot >= this.slotCount) {
+                var eventBus = EventBus.getInstance();
+                if (eventBus) {
+                    eventBus.fire('game:slotsChanged', this.listSaves());
+                }
+                done();
+                callback(this.listSaves());
+                return;
+            }
 
-    this.saveKey = 'cozy_game_save';
-    this.autoSaveInterval = 60; // Auto-save every 60 seconds
-    this.autoSaveEnabled = true;
-    this.lastSaveTime = 0;
+            this.readSlotMetadata(slot, function(metadata) {
+                this.slotMetadata[slot] = metadata;
+                slot++;
+                refreshNext();
+            }.bind(this));
+        }.bind(this);
 
-    console.log('[SaveSystem] Initialized');
+        refreshNext();
+    });
 };
 
-SaveSystem.prototype.update = function(dt) {
-    if (this.autoSaveEnabled) {
-        this.lastSaveTime += dt;
-        if (this.lastSaveTime >= this.autoSaveInterval) {
-            this.saveGame();
-            this.lastSaveTime = 0;
+SaveSystem.prototype.readSlotMetadata = function(slot, callback) {
+    var keys = [this.getMetadataKey(slot)].concat(this.getSlotEntryKeys(slot));
+
+    this.readKeys(keys, function(err, values) {
+        if (err) {
+            console.error('[SaveSystem] Failed to read slot ' + slot + ' metadata:', err);
+            callback(null);
+            return;
         }
-    }
-};
 
-SaveSystem.prototype.saveGame = function() {
-    try {
-        var saveData = this.collectSaveData();
-        var jsonString = JSON.stringify(saveData);
-        localStorage.setItem(this.saveKey, jsonString);
+        if (values[0] !== null) {
+            try {
+                callback(JSON.parse(values[0]));
+                return;
+            } catch (e) {
+                console.warn('[SaveSystem] Damaged metadata for slot ' + slot + ', rebuilding');
+            }
+        }
 
-        var eventBus = EventBus.getInstance();
-        if (eventBus) {
-            eventBus.fire('game:saved', saveData);
+        // Metadata missing (e.g. cleared by hand) - rebuild it from the save itself
+        var entry = this.findNewestValidEntry(slot, values.slice(1));
+        if (!entry || !entry.saveData) {
+            callback(null);
+            return;
         }
 
-        console.log('[SaveSystem] Game saved successfully');
-        return true;
-    } catch (e) {
-        console.error('[SaveSystem] Failed to save game:', e);
-        return false;
-    }
+        var metadata = this.buildSlotMetadata(slot, entry.saveData);
+        this.storage.setItem(this.getMetadataKey(slot), JSON.stringify(metadata), function() {
+            callback(metadata);
+        });
+    }.bind(this));
 };
 
-SaveSystem.prototype.loadGame = function() {
-    try {
-        var jsonString = localStorage.getItem(this.saveKey);
-        if (!jsonString) {
-            console.log('[SaveSystem] No save file found');
-            return null;
-        }
+SaveSystem.prototype.getSlotMetadata = function(slot) {
+    return this.slotMetadata[slot] || null;
+};
 
-        var saveData = JSON.parse(jsonString);
-        this.applySaveData(saveData);
+SaveSystem.prototype.listSaves = function() {
+    var saves = [];
+    for (var slot = 0; slot < this.slotCount; slot++) {
+        saves.push(this.getSlotMetadata(slot) || { slot: slot, empty: true });
+    }
+    return saves;
+};
 
-        var eventBus = EventBus.getInstance();
-        if (eventBus) {
-            eventBus.fire('game:loaded', saveData);
+SaveSystem.prototype.getMostRecentSlot = function() {
+    var mostRecent = null;
+    this.listSaves().forEach(function(save) {
+        if (!save.empty && (!mostRecent || save.timestamp > mostRecent.timestamp)) {
+            mostRecent = save;
         }
+    });
+    return mostRecent ? mostRecent.slot : null;
+};
 
-        console.log('[SaveSystem] Game loaded successfully');
-        return saveData;
-    } catch (e) {
-        console.error('[SaveSystem] Failed to load game:', e);
-        return null;
+// With no slot given, reports whether any slot holds a save
+SaveSystem.prototype.hasSaveFile = function(slot) {
+    if (slot !== undefined) {
+        return this.isValidSlot(slot) && !!this.getSlotMetadata(slot);
     }
+    return this.getMostRecentSlot() !== null;
 };
 
-SaveSystem.prototype.collectSaveData = function() {
-    var saveData = {
-        version: '1.0.0',
-        timestamp: Date.now(),
-        data: {}
-    };
+// Saves from before slots existed live under the bare save key - move them into the first free slot
+SaveSystem.prototype.migrateLegacySave = function() {
+    this.enqueue(function(done) {
+        var slotKeys = [];
+        for (var slot = 0; slot < this.slotCount; slot++) {
+            slotKeys.push(this.getSlotKey(slot));
+        }
 
-    // Collect data from all managers
-    var managers = [
-        'InventoryManager',
-        'FarmingManager',
-        'QuestManager',
-        'PlayerStats',
-        'TimeManager',
-        'BuildingManager',
-        'RelationshipManager'
-    ];
-
-    managers.forEach(function(managerName) {
-        var managerClass = window[managerName];
-        if (managerClass && managerClass.getInstance) {
-            var instance = managerClass.getInstance();
-            if (instance && instance.getSaveData) {
-                saveData.data[managerName] = instance.getSaveData();
+        this.readKeys([this.saveKey].concat(slotKeys), function(err, values) {
+            if (err || values[0] === null) {
+                done();
+                return;
             }
-        }
-    });
 
-    return saveData;
+            var freeSlot = values.indexOf(null, 1) - 1;
+            if (freeSlot < 0) {
+                console.warn('[SaveSystem] No free slot for legacy save, leaving it in place');
+                done();
+                return;
+            }
+
+            var metadata;
+            try {
+                metadata = this.buildSlotMetadata(freeSlot, JSON.parse(values[0]));
+            } catch (e) {
+                console.error('[SaveSystem] Failed to migrate legacy save:', e);
+                done();
+                return;
+            }
+
+            this.writeKeys([
+                { key: this.getSlotKey(freeSlot), value: values[0] },
+                { key: this.getMetadataKey(freeSlot), value: JSON.stringify(metadata) },
+                { key: this.saveKey, value: null }
+            ], function(err) {
+                if (err) {
+                    console.error('[SaveSystem] Failed to migrate legacy save:', err);
+                } else {
+                    console.log('[SaveSystem] Moved legacy save into slot ' + freeSlot);
+                }
+                done();
+            });
+        }.bind(this));
+    });
 };
 
-SaveSystem.prototype.applySaveData = function(saveData) {
-    if (!saveData || !saveData.data) {
-        console.error('[SaveSystem] Invalid save data');
-        return;
+// ----------------------------------------------------------------------------
+// SAVE MIGRATIONS
+// ----------------------------------------------------------------------------
+SaveSystem.registerMigration({
+    version: '1.1.0',
+    description: 'Add player name and playtime for save slots',
+    migrate: function(saveData) {
+        saveData.playerName = saveData.playerName || 'Player';
+        saveData.playtime = saveData.playtime || 0;
+        return saveData;
     }
+});
 
-    // Apply data to all managers
-    for (var managerName in saveData.data) {
-        var managerClass = window[managerName];
-        if (managerClass && managerClass.getInstance) {
-            var instance = managerClass.getInstance();
-            if (instance && instance.loadSaveData) {
-                instance.loadSaveData(saveData.data[managerName]);
-            }
-        }
+SaveSystem.registerMigration({
+    version: '1.2.0',
+    description: 'Record active content packs',
+    migrate: function(saveData) {
+        saveData.contentPacks = saveData.contentPacks || [];
+        return saveData;
     }
-};
+});
+
+// Older saves timed crops and quests with Date.now(). The real seconds between
+// a timestamp and the save become game minutes at the default 60x time scale.
+// The clock is read with TimeManager.loadSaveData's defaults, so the times
+// line up with the clock the load restores
+SaveSystem.registerMigration({
+    version: '1.3.0',
+    description: 'Store crop and quest times as game minutes',
+    migrate: function(saveData) {
+        var data = saveData.data || {};
+        var time = data.TimeManager || {};
+        var timeManager = typeof TimeManager !== 'undefined' ? TimeManager.getInstance() : null;
+        var hour = time.currentHour !== undefined ? time.currentHour : (timeManager ? timeManager.startHour : 6);
+        var minute = time.currentMinute !== undefined ? time.currentMinute : 0;
+        var savedAt = (((time.currentDay || 1) - 1) * 24 + hour) * 60 + minute;
+        var toGameMinutes = function(epochMs) {
+            return savedAt - Math.max(0, (saveData.timestamp - epochMs) / 1000) * 60;
+        };
+
+        var farming = data.FarmingManager;
+        ((farming && farming.plantedCrops) || []).forEach(function(crop) {
+            crop.plantedAt = typeof crop.plantedTime === 'number' ? toGameMinutes(crop.plantedTime) : savedAt;
+            delete crop.plantedTime;
+        });
 
-SaveSystem.prototype.deleteSave = function() {
-    localStorage.removeItem(this.saveKey);
-    console.log('[SaveSystem] Save file deleted');
-};
+        var quests = data.QuestManager;
+        ((quests && quests.activeQuests) || []).forEach(function(quest) {
+            if (typeof quest.startTime === 'number') quest.startedAt = toGameMinutes(quest.startTime);
+            delete quest.startTime;
+        });
 
-SaveSystem.prototype.hasSaveFile = function() {
-    return localStorage.getItem(this.saveKey) !== null;
-};
+        return saveData;
+    }
+});
 
 
 // ----------------------------------------------------------------------------
@@ -192,12 +1708,85 @@ GameManager.getInstance = function() {
     return GameManager._instance;
 };
 
+GameManager.attributes.add('dataLoadRetries', {
+    type: 'number',
+    default: 2,
+    description: 'Extra attempts for a data file that fails to load'
+});
+
+GameManager.attributes.add('dataRetryDelay', {
+    type: 'number',
+    default: 1,
+    description: 'Seconds before the first retry of a data file; doubles each attempt'
+});
+
+GameManager.attributes.add('strictDataValidation', {
+    type: 'boolean',
+    default: false,
+    description: 'Refuse to start when data/*.json has schema errors (data-schemas.js)'
+});
+
+GameManager.attributes.add('packManifestUrl', {
+    type: 'string',
+    default: 'packs/manifest.json',
+    description: 'Content pack manifest; the game runs on data/ alone if it is missing'
+});
+
+GameManager.attributes.add('allowMissingPacks', {
+    type: 'boolean',
+    default: false,
+    description: 'Load saves that used content packs which are no longer installed'
+});
+
+// Game states. A state lists where it can go next and which systems update
+// while it is on top. Overlay states (dialogue, pause) stack over the current
+// one and popState() returns to it; entering any other state clears the stack.
+// input is whether gameplay hotkeys (inventory, quests, pause) work
+GameManager.STATES = {
+    loading: {
+        next: ['menu'],
+        systems: [],
+        input: false
+    },
+    menu: {
+        next: ['playing'],
+        systems: [],
+        input: false
+    },
+    playing: {
+        next: ['menu', 'dialogue', 'paused'],
+        systems: ['PlayerController', 'TimeManager', 'WeatherSystem', 'SaveSystem'],
+        input: true
+    },
+    dialogue: {
+        overlay: true,
+        next: ['menu', 'paused'],
+        systems: ['TimeManager', 'WeatherSystem', 'SaveSystem'],
+        input: false
+    },
+    paused: {
+        overlay: true,
+        next: ['menu'],
+        systems: [],
+        input: false
+    }
+};
+
+// For systems that may run without a GameManager in the scene (tools, tests)
+GameManager.isSystemActive = function(systemName) {
+    var gameManager = GameManager._instance;
+    return !gameManager || gameManager.isSystemActive(systemName);
+};
+
 GameManager.prototype.initialize = function() {
     GameManager._instance = this;
 
     // Game state
-    this.gameState = 'loading'; // loading, menu, playing, paused
+    this.gameState = 'loading'; // Top of stateStack, see GameManager.STATES
+    this.stateStack = ['loading'];
+    this.suspendedSystems = []; // Held still whatever the state, e.g. during a replay
     this.playerEntity = null;
+    this.playerName = 'Player';
     this.currentScene = 'main';
 
     // References
@@ -210,8 +1799,14 @@ GameManager.prototype.initialize = function() {
         quests: false,
         plants: false,
         spells: false,
-        npcs: false
+        npcs: false,
+        achievements: false
     };
+    this.dataIssues = []; // Schema problems found while loading
+
+    // Content packs merged over data/ (content-packs.js)
+    this.contentPacks = []; // { id, name, version } in the order they applied
+    this.contentSources = {}; // Data file -> record id -> [{ pack, mode }]
 
     console.log('[GameManager] Initialized');
 
@@ -234,65 +1829,363 @@ GameManager.prototype.findCoreSystems = function() {
     }
 };
 
+// Every data file the game loads at startup. Without a required file the
+// game stops on an error screen instead of starting with empty managers
+GameManager.DATA_FILES = [
+    { name: 'items', url: 'data/items.json', required: true },
+    { name: 'quests', url: 'data/quests.json', required: true },
+    { name: 'plants', url: 'data/plants.json', required: true },
+    { name: 'spells', url: 'data/spells.json', required: true },
+    { name: 'npcs', url: 'data/npcs.json', required: true },
+    { name: 'achievements', url: 'data/achievements.json', required: false }
+];
+
 GameManager.prototype.loadAllGameData = function() {
+    this.pendingDataFiles = GameManager.DATA_FILES.length;
+    this.failedDataFiles = [];
+
+    GameManager.DATA_FILES.forEach(function(file) {
+        this.loadDataFile(file, 1);
+    }.bind(this));
+};
+
+GameManager.prototype.loadDataFile = function(file, attempt) {
     var self = this;
 
-    // Load all JSON data files
-    var dataFiles = [
-        { name: 'items', url: 'data/items.json' },
-        { name: 'quests', url: 'data/quests.json' },
-        { name: 'plants', url: 'data/plants.json' },
-        { name: 'spells', url: 'data/spells.json' },
-        { name: 'npcs', url: 'data/npcs.json' }
-    ];
+    this.app.assets.loadFromUrl(file.url, 'json', function(err, asset) {
+        if (err) {
+            var willRetry = attempt <= self.dataLoadRetries;
+            console.warn('[GameManager] Failed to load ' + file.name + ' (attempt ' + attempt + '):', err);
+
+            if (self.eventBus) {
+                self.eventBus.fire('data:fileFailed', {
+                    name: file.name,
+                    url: file.url,
+                    attempt: attempt,
+                    error: String(err),
+                    willRetry: willRetry
+                });
+            }
+
+            // Back off: dataRetryDelay, then twice that, and so on
+            if (willRetry) {
+                setTimeout(function() {
+                    self.loadDataFile(file, attempt + 1);
+                }, self.dataRetryDelay * 1000 * Math.pow(2, attempt - 1));
+                return;
+            }
 
-    var loadCount = 0;
-    var totalFiles = dataFiles.length;
+            self.failedDataFiles.push({ name: file.name, url: file.url, required: file.required, error: String(err) });
+        } else {
+            self[file.name + 'Data'] = asset.resource;
+            self.dataLoaded[file.name] = true;
+            self.dataIssues = self.dataIssues.concat(DataValidator.validate(file.name, asset.resource));
+            console.log('[GameManager] Loaded ' + file.name + ':', asset.resource.length);
+        }
 
-    dataFiles.forEach(function(file) {
-        self.app.assets.loadFromUrl(file.url, 'json', function(err, asset) {
-            if (err) {
-                console.error('[GameManager] Failed to load ' + file.name + ':', err);
-            } else {
-                self[file.name + 'Data'] = asset.resource;
-                self.dataLoaded[file.name] = true;
-                console.log('[GameManager] Loaded ' + file.name + ':', asset.resource.length);
+        self.pendingDataFiles--;
+        self.fireDataProgress(file.name, !err);
+
+        if (self.pendingDataFiles === 0) {
+            self.onDataFilesSettled();
+        }
+    });
+};
+
+GameManager.prototype.fireDataProgress = function(name, succeeded) {
+    var total = GameManager.DATA_FILES.length;
+    var settled = total - this.failedDataFiles.length - this.pendingDataFiles;
+
+    if (this.eventBus) {
+        this.eventBus.fire('data:progress', {
+            name: name,
+            succeeded: succeeded,
+            loaded: settled,
+            total: total,
+            progress: settled / total
+        });
+    }
+};
+
+// Every file has either loaded or run out of retries
+GameManager.prototype.onDataFilesSettled = function() {
+    var missing = this.failedDataFiles.filter(function(file) {
+        return file.required;
+    });
+
+    if (missing.length > 0) {
+        console.error('[GameManager] Required game data missing: ' + missing.map(function(file) {
+            return file.name;
+        }).join(', '));
+
+        if (this.eventBus) {
+            this.eventBus.fire('data:loadFailed', { files: missing });
+        }
+        return;
+    }
+
+    this.failedDataFiles.forEach(function(file) {
+        console.warn('[GameManager] Continuing without optional data: ' + file.name);
+    });
+
+    this.loadContentPacks(function() {
+        this.onAllDataLoaded();
+    }.bind(this));
+};
+
+// Tries the files that gave up again, e.g. from the error screen
+GameManager.prototype.retryDataLoading = function() {
+    var failed = this.failedDataFiles;
+    if (failed.length === 0 || this.pendingDataFiles > 0) return;
+
+    this.failedDataFiles = [];
+    this.pendingDataFiles = failed.length;
+
+    failed.forEach(function(failedFile) {
+        var file = GameManager.DATA_FILES.find(function(entry) {
+            return entry.name === failedFile.name;
+        });
+        this.loadDataFile(file, 1);
+    }.bind(this));
+};
+
+// ----------------------------------------------------------------------------
+// Content packs
+// ----------------------------------------------------------------------------
+
+// callback(err, resource)
+GameManager.prototype.loadJson = function(url, callback) {
+    this.app.assets.loadFromUrl(url, 'json', function(err, asset) {
+        callback(err ? String(err) : null, err ? null : asset.resource);
+    });
+};
+
+// Loads the enabled packs from the manifest and merges them over data/.
+// A pack that fails to load is skipped whole and reported with the data issues
+GameManager.prototype.loadContentPacks = function(callback) {
+    var self = this;
+
+    this.loadJson(this.packManifestUrl, function(err, manifest) {
+        if (err) {
+            console.log('[GameManager] No content packs (' + self.packManifestUrl + ' not loaded)');
+            self.applyContentPacks([]);
+            callback();
+            return;
+        }
+
+        if (!manifest || !Array.isArray(manifest.packs)) {
+            self.addPackIssue(self.packManifestUrl, 'expected { "packs": [...] }');
+            self.applyContentPacks([]);
+            callback();
+            return;
+        }
+
+        var entries = manifest.packs.filter(function(entry) {
+            return entry && entry.enabled !== false;
+        });
+        var loaded = [];
+
+        // One at a time, so packs always apply in manifest order
+        var loadNext = function(index) {
+            if (index === entries.length) {
+                self.applyContentPacks(loaded);
+                callback();
+                return;
             }
 
-            loadCount++;
-            if (loadCount === totalFiles) {
-                self.onAllDataLoaded();
+            var entry = entries[index];
+            self.loadContentPack(entry, function(err, pack, packData) {
+                var listedTwice = !err && loaded.some(function(other) {
+                    return other.pack.id === pack.id;
+                });
+
+                if (err || listedTwice) {
+                    self.addPackIssue(entry.path + '/pack.json', err || 'pack "' + pack.id + '" is listed twice');
+                } else {
+                    loaded.push({ pack: pack, data: packData });
+                }
+                loadNext(index + 1);
+            });
+        };
+        loadNext(0);
+    });
+};
+
+// entry: { path } from the manifest; callback(err, pack, packData)
+GameManager.prototype.loadContentPack = function(entry, callback) {
+    var self = this;
+    var path = String(entry.path || '').replace(/\/$/, '');
+
+    this.loadJson(path + '/pack.json', function(err, info) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (!info || typeof info.id !== 'string') {
+            callback('pack.json needs a string id');
+            return;
+        }
+
+        var pack = { id: info.id, name: info.name || info.id, version: info.version || null, path: path };
+        var files = Array.isArray(info.files) ? info.files : [];
+        var packData = {};
+
+        var loadNext = function(index) {
+            if (index === files.length) {
+                console.log('[GameManager] Loaded content pack ' + pack.id + ' (' + files.join(', ') + ')');
+                callback(null, pack, packData);
+                return;
             }
+
+            self.loadJson(path + '/' + files[index] + '.json', function(err, records) {
+                if (err) {
+                    callback(files[index] + '.json: ' + err);
+                    return;
+                }
+                packData[files[index]] = records;
+                loadNext(index + 1);
+            });
+        };
+        loadNext(0);
+    });
+};
+
+GameManager.prototype.addPackIssue = function(file, message) {
+    console.error('[GameManager] Content pack skipped - ' + file + ': ' + message);
+    this.dataIssues.push({ severity: 'error', file: file, recordId: null, field: null, message: message });
+};
+
+// loaded: [{ pack, data }] in manifest order
+GameManager.prototype.applyContentPacks = function(loaded) {
+    var content = ContentPacks.createContent(this.getGameData());
+    var issues = [];
+
+    loaded.forEach(function(entry) {
+        issues = issues.concat(ContentPacks.applyPack(content, entry.pack, entry.data));
+    });
+
+    // Validate what each pack left behind once every pack applied, so a
+    // later patch can complete an earlier pack's record
+    loaded.forEach(function(entry) {
+        var records = ContentPacks.getPackRecords(content, entry.pack.id);
+        Object.keys(records).forEach(function(name) {
+            DataValidator.validate(name, records[name]).forEach(function(issue) {
+                issue.file = entry.pack.path + '/' + issue.file;
+                issues.push(issue);
+            });
         });
     });
+
+    this.dataIssues = this.dataIssues.concat(issues);
+
+    Object.keys(content.data).forEach(function(name) {
+        this[name + 'Data'] = content.data[name];
+        this.dataLoaded[name] = true;
+    }.bind(this));
+
+    this.contentSources = content.sources;
+    this.contentPacks = content.packs;
+};
+
+// Packs a save records, so loading it elsewhere can tell what's missing
+GameManager.prototype.getActivePacks = function() {
+    return this.contentPacks.map(function(pack) {
+        return { id: pack.id, name: pack.name, version: pack.version };
+    });
+};
+
+// Saved packs (from a save or slot metadata) that aren't active now
+GameManager.prototype.getMissingPacks = function(savedPacks) {
+    return ContentPacks.comparePacks(savedPacks, this.getActivePacks()).missing;
+};
+
+// { pack, mode } that last defined or changed a record, e.g. ('items', 'apple')
+GameManager.prototype.getRecordSource = function(name, id) {
+    var history = this.contentSources[name] && this.contentSources[name][id];
+    return history ? history[history.length - 1] : null;
 };
 
 GameManager.prototype.onAllDataLoaded = function() {
+    // Cross-file references can only be checked once every file arrived
+    this.dataIssues = this.dataIssues.concat(ContentLinter.lint(this.getGameData()));
+    if (!this.reportDataIssues()) return;
+
     console.log('[GameManager] All game data loaded successfully');
 
     if (this.eventBus) {
         this.eventBus.fire('data:loaded');
     }
 
-    // Try to load save file
-    if (this.saveSystem && this.saveSystem.hasSaveFile()) {
-        this.saveSystem.loadGame();
-    }
-
+    // Saves are loaded from the menu once the player picks a slot
     // Change state to menu
     this.setGameState('menu');
 };
 
-GameManager.prototype.setGameState = function(newState) {
-    var oldState = this.gameState;
-    this.gameState = newState;
+// Loaded data files by name, as the validator and linter expect them
+GameManager.prototype.getGameData = function() {
+    var data = {};
+    for (var name in this.dataLoaded) {
+        if (this.dataLoaded[name]) {
+            data[name] = this[name + 'Data'];
+        }
+    }
+    return data;
+};
 
-    console.log('[GameManager] State changed: ' + oldState + ' -> ' + newState);
+// Logs schema and reference problems and tells the loading screen. Returns false when
+// strict validation should stop the game from starting
+GameManager.prototype.reportDataIssues = function() {
+    var issues = this.dataIssues;
+    if (issues.length === 0) return true;
+
+    var errorCount = DataValidator.countErrors(issues);
+    var blocking = this.strictDataValidation && errorCount > 0;
+    var report = DataValidator.formatReport(issues);
+
+    if (errorCount > 0) {
+        console.error('[GameManager] ' + report);
+    } else {
+        console.warn('[GameManager] ' + report);
+    }
 
     if (this.eventBus) {
-        this.eventBus.fire('game:stateChanged', newState, oldState);
+        this.eventBus.fire('data:validationFailed', {
+            issues: issues,
+            errorCount: errorCount,
+            warningCount: issues.length - errorCount,
+            blocking: blocking,
+            report: report
+        });
+    }
+
+    if (blocking) {
+        console.error('[GameManager] Strict data validation is on - not starting');
+    }
+    return !blocking;
+};
+
+// ----------------------------------------------------------------------------
+// Game state
+// ----------------------------------------------------------------------------
+
+GameManager.prototype.canEnterState = function(newState) {
+    var current = GameManager.STATES[this.gameState];
+    return !!GameManager.STATES[newState] && current.next.indexOf(newState) !== -1;
+};
+
+// Overlay states push onto the stack, others replace it. Returns false (and
+// changes nothing) when the current state doesn't lead to newState
+GameManager.prototype.setGameState = function(newState) {
+    if (newState === this.gameState) return true;
+
+    if (!this.canEnterState(newState)) {
+        console.warn('[GameManager] Cannot go from ' + this.gameState + ' to ' + newState);
+        return false;
     }
 
+    var stack = GameManager.STATES[newState].overlay ? this.stateStack.concat([newState]) : [newState];
+    this.changeState(stack);
+
     // Handle state transitions
     switch (newState) {
         case 'playing':
@@ -305,6 +2198,59 @@ GameManager.prototype.setGameState = function(newState) {
             this.onGameMenu();
             break;
     }
+    return true;
+};
+
+// Leaves an overlay state for the one beneath it
+GameManager.prototype.popState = function() {
+    if (!GameManager.STATES[this.gameState].overlay) {
+        console.warn('[GameManager] Nothing to return to from ' + this.gameState);
+        return false;
+    }
+
+    var leaving = this.gameState;
+    this.changeState(this.stateStack.slice(0, -1));
+
+    if (leaving === 'paused') {
+        this.onGameResume();
+    }
+    return true;
+};
+
+GameManager.prototype.changeState = function(stack) {
+    var oldState = this.gameState;
+    this.stateStack = stack;
+    this.gameState = stack[stack.length - 1];
+
+    console.log('[GameManager] State changed: ' + oldState + ' -> ' + this.gameState +
+        (stack.length > 1 ? ' (' + stack.join(' > ') + ')' : ''));
+
+    if (this.eventBus) {
+        this.eventBus.fire('game:stateChanged', this.gameState, oldState, stack.slice());
+    }
+};
+
+GameManager.prototype.getStateStack = function() {
+    return this.stateStack.slice();
+};
+
+// Whether systemName (a script's global name, e.g. 'TimeManager') should
+// update in the current state
+GameManager.prototype.isSystemActive = function(systemName) {
+    if (this.suspendedSystems.indexOf(systemName) !== -1) return false;
+    return GameManager.STATES[this.gameState].systems.indexOf(systemName) !== -1;
+};
+
+GameManager.prototype.suspendSystems = function(systemNames) {
+    this.suspendedSystems = systemNames.slice();
+};
+
+GameManager.prototype.resumeSystems = function() {
+    this.suspendedSystems = [];
+};
+
+GameManager.prototype.allowsInput = function() {
+    return GameManager.STATES[this.gameState].input;
 };
 
 GameManager.prototype.onGameStart = function() {
@@ -317,55 +2263,80 @@ GameManager.prototype.onGameStart = function() {
     }
 };
 
+// Systems check isSystemActive() themselves, so nothing needs stopping here
 GameManager.prototype.onGamePause = function() {
     console.log('[GameManager] Game paused');
-    // Pause game logic (not implemented in this example)
+};
+
+GameManager.prototype.onGameResume = function() {
+    console.log('[GameManager] Game resumed');
 };
 
 GameManager.prototype.onGameMenu = function() {
     console.log('[GameManager] Show menu');
 };
 
-GameManager.prototype.newGame = function() {
-    // Delete save and start fresh
+GameManager.prototype.newGame = function(slot, playerName) {
+    // Clear the chosen slot and start fresh
     if (this.saveSystem) {
-        this.saveSystem.deleteSave();
+        if (slot === undefined) slot = this.saveSystem.currentSlot;
+        if (!this.saveSystem.setCurrentSlot(slot)) {
+            return false;
+        }
+        this.saveSystem.deleteSave(slot);
     }
 
+    this.playerName = playerName || 'Player';
+
     // Reset all managers
     this.resetAllManagers();
 
     // Start game
     this.setGameState('playing');
+    return true;
 };
 
-GameManager.prototype.continueGame = function() {
-    // Load save and continue
-    if (this.saveSystem) {
-        this.saveSystem.loadGame();
+GameManager.prototype.continueGame = function(slot, callback) {
+    callback = callback || function() {};
+
+    // Load save and continue (most recent slot by default)
+    if (!this.saveSystem) {
+        callback(false);
+        return;
     }
 
-    this.setGameState('playing');
+    if (slot === undefined) slot = this.saveSystem.getMostRecentSlot();
+    if (slot === null) {
+        console.warn('[GameManager] No save to continue');
+        callback(false);
+        return;
+    }
+
+    this.saveSystem.loadGame(slot, function(saveData) {
+        if (!saveData) {
+            console.warn('[GameManager] Nothing to continue in slot ' + slot);
+            callback(false);
+            return;
+        }
+
+        // Pause or dialogue belonged to the game just replaced
+        while (GameManager.STATES[this.gameState].overlay) {
+            this.popState();
+        }
+
+        if (!this.setGameState('playing')) {
+            callback(false);
+            return;
+        }
+        callback(true);
+    }.bind(this));
 };
 
 GameManager.prototype.resetAllManagers = function() {
-    var managers = [
-        'InventoryManager',
-        'FarmingManager',
-        'QuestManager',
-        'PlayerStats',
-        'TimeManager'
-    ];
-
-    managers.forEach(function(managerName) {
-        var managerClass = window[managerName];
-        if (managerClass && managerClass.getInstance) {
-            var instance = managerClass.getInstance();
-            if (instance && instance.reset) {
-                instance.reset();
-            }
-        }
-    });
+    // Every registered save participant declares its own reset behaviour
+    if (this.saveSystem) {
+        this.saveSystem.resetParticipants();
+    }
 };
 
 GameManager.prototype.quitGame = function() {
@@ -0,0 +1,428 @@
+// ============================================================================
+// PlayCanvas Data Schemas
+// Formal shapes of data/*.json and the validator GameManager runs at load
+// ============================================================================
+
+// Field specs:
+//
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array',
+//     required: true,
+//     enum: [...],                 - allowed values
+//     min: 0, max: 10,             - numbers; for arrays, the item count
+//     items: <field spec>,         - arrays: every element
+//     fields: { name: <spec> },    - objects with known keys (others warn)
+//     values: <field spec> }       - objects used as maps: every value
+//
+// A schema may also have check(record) returning a message for rules that
+// span several fields. Nothing here depends on pc, so the same code runs
+// in the browser and in Node tools.
+
+// ----------------------------------------------------------------------------
+// DATA SCHEMAS - one per data file
+// ----------------------------------------------------------------------------
+var DataSchemas = {
+    items: {
+        idField: 'itemID',
+        fields: {
+            itemID: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            type: { type: 'string', required: true, enum: ['consumable', 'seed', 'crop', 'weapon', 'tool', 'armor', 'material', 'quest', 'misc'] },
+            rarity: { type: 'string', required: true, enum: ['common', 'uncommon', 'rare', 'epic', 'legendary'] },
+            stackable: { type: 'boolean', required: true },
+            maxStack: { type: 'integer', required: true, min: 1 },
+            sellValue: { type: 'number', min: 0 },
+            buyValue: { type: 'number', min: 0 },
+            weight: { type: 'number', required: true, min: 0 },
+            effects: { type: 'object', values: { type: 'number' } },
+            stats: { type: 'object', values: { type: 'number' } },
+            plantID: { type: 'string' }
+        },
+        check: function(item) {
+            if (item.stackable === false && item.maxStack > 1) {
+                return 'maxStack is ' + item.maxStack + ' but the item is not stackable';
+            }
+            if (item.type === 'seed' && !item.plantID) {
+                return 'seed items need a plantID';
+            }
+            return null;
+        }
+    },
+
+    plants: {
+        idField: 'plantID',
+        fields: {
+            plantID: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            growthStages: { type: 'integer', required: true, min: 1 },
+            timePerStage: { type: 'number', required: true, min: 1 }, // Game minutes
+            seasonsToGrow: { type: 'array', required: true, min: 1, items: { type: 'string', enum: ['spring', 'summer', 'autumn', 'winter'] } },
+            requiresWater: { type: 'boolean' },
+            waterPerDay: { type: 'integer', min: 0 },
+            harvestYield: {
+                type: 'object',
+                required: true,
+                fields: {
+                    itemID: { type: 'string', required: true },
+                    minQuantity: { type: 'integer', required: true, min: 0 },
+                    maxQuantity: { type: 'integer', required: true, min: 1 }
+                }
+            },
+            seedItemID: { type: 'string', required: true },
+            sellValue: { type: 'number', min: 0 },
+            regrows: { type: 'boolean' },
+            regrowthTime: { type: 'number', min: 1 } // Game minutes
+        },
+        check: function(plant) {
+            var harvest = plant.harvestYield;
+            if (harvest && harvest.minQuantity > harvest.maxQuantity) {
+                return 'harvestYield.minQuantity is larger than maxQuantity';
+            }
+            if (plant.regrows && plant.regrowthTime === undefined) {
+                return 'regrowing plants need a regrowthTime';
+            }
+            return null;
+        }
+    },
+
+    quests: {
+        idField: 'questID',
+        fields: {
+            questID: { type: 'string', required: true },
+            questName: { type: 'string', required: true },
+            description: { type: 'string' },
+            questType: { type: 'string', required: true, enum: ['main', 'side', 'daily'] },
+            prerequisites: { type: 'array', items: { type: 'string' } },
+            objectives: {
+                type: 'array',
+                required: true,
+                min: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        description: { type: 'string', required: true },
+                        type: { type: 'string', required: true, enum: ['dialogue', 'item', 'location', 'farming', 'combat', 'magic'] },
+                        targetNPCID: { type: 'string' },
+                        targetItemID: { type: 'string' },
+                        targetLocationID: { type: 'string' },
+                        action: { type: 'string' },
+                        targetCount: { type: 'integer', required: true, min: 1 },
+                        currentProgress: { type: 'integer', min: 0 }
+                    }
+                }
+            },
+            rewards: {
+                type: 'object',
+                fields: {
+                    experience: { type: 'integer', min: 0 },
+                    gold: { type: 'integer', min: 0 },
+                    items: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            fields: {
+                                itemID: { type: 'string', required: true },
+                                quantity: { type: 'integer', required: true, min: 1 }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    spells: {
+        idField: 'spellID',
+        fields: {
+            spellID: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            spellType: { type: 'string', required: true, enum: ['offensive', 'defensive', 'healing', 'utility'] },
+            manaCost: { type: 'number', required: true, min: 0 },
+            cooldown: { type: 'number', required: true, min: 0 }, // Game minutes
+            castTime: { type: 'number', min: 0 },
+            range: { type: 'number', min: 0 },
+            element: { type: 'string' },
+            visualEffect: { type: 'string' },
+            damage: { type: 'number', min: 0 },
+            healAmount: { type: 'number', min: 0 },
+            shieldAmount: { type: 'number', min: 0 },
+            duration: { type: 'number', min: 0 },
+            statusEffect: { type: 'string' },
+            statusDuration: { type: 'number', min: 0 },
+            areaOfEffect: { type: 'number', min: 0 },
+            effect: { type: 'string' },
+            growthBoost: { type: 'number', min: 0 }
+        },
+        check: function(spell) {
+            if (spell.spellType === 'offensive' && spell.damage === undefined) {
+                return 'offensive spells need damage';
+            }
+            if (spell.spellType === 'healing' && spell.healAmount === undefined) {
+                return 'healing spells need healAmount';
+            }
+            return null;
+        }
+    },
+
+    npcs: {
+        idField: 'npcID',
+        fields: {
+            npcID: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            role: { type: 'string', required: true, enum: ['quest_giver', 'merchant', 'trainer', 'villager'] },
+            location: { type: 'string' },
+            shopInventory: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        itemID: { type: 'string', required: true },
+                        stock: { type: 'integer', required: true, min: 0 },
+                        restockTime: { type: 'number', min: 0 } // Game minutes
+                    }
+                }
+            },
+            dialogueTrees: {
+                type: 'object',
+                values: {
+                    type: 'object',
+                    fields: {
+                        nodes: {
+                            type: 'array',
+                            required: true,
+                            min: 1,
+                            items: {
+                                type: 'object',
+                                fields: {
+                                    nodeID: { type: 'string', required: true },
+                                    speaker: { type: 'string' },
+                                    text: { type: 'string', required: true },
+                                    choices: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            fields: {
+                                                text: { type: 'string', required: true },
+                                                nextNodeID: { type: 'string' },
+                                                action: { type: 'string' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        check: function(npc) {
+            if (npc.role === 'merchant' && !npc.shopInventory) {
+                return 'merchants need a shopInventory';
+            }
+            return null;
+        }
+    },
+
+    achievements: {
+        idField: 'achievementID',
+        fields: {
+            achievementID: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            icon: { type: 'string' },
+            category: { type: 'string' },
+            points: { type: 'integer', min: 0 },
+            secret: { type: 'boolean' }, // Name and description stay hidden until unlocked
+            condition: {
+                type: 'object',
+                required: true,
+                fields: {
+                    type: { type: 'string', required: true, enum: ['event', 'questsCompleted', 'spellsKnown', 'currency'] },
+                    event: { type: 'string' }, // event: EventBus event to count
+                    match: { type: 'object' }, // event: payload fields that must be equal, e.g. { plantId }
+                    questType: { type: 'string' }, // questsCompleted: only quests of this type
+                    currency: { type: 'string' }, // currency: gold, silver or gems
+                    target: { type: 'integer', min: 1 } // questsCompleted defaults to every matching quest
+                }
+            }
+        },
+        check: function(achievement) {
+            var condition = achievement.condition || {};
+            if (condition.type === 'event' && !condition.event) {
+                return 'event conditions need an event';
+            }
+            if (condition.type === 'currency' && !condition.currency) {
+                return 'currency conditions need a currency';
+            }
+            if ((condition.type === 'spellsKnown' || condition.type === 'currency') && condition.target === undefined) {
+                return condition.type + ' conditions need a target';
+            }
+            return null;
+        }
+    }
+};
+
+
+// ----------------------------------------------------------------------------
+// DATA VALIDATOR
+// Issues are { severity: 'error' | 'warning', file, recordId, field, message }
+// ----------------------------------------------------------------------------
+var DataValidator = {
+    typeOf: function(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    matchesType: function(value, type) {
+        if (type === 'integer') return typeof value === 'number' && Math.floor(value) === value;
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        return DataValidator.typeOf(value) === type;
+    },
+
+    // Validates one data file's records; name is the schema key ('items')
+    validate: function(name, records) {
+        var schema = DataSchemas[name];
+        var file = name + '.json';
+        var issues = [];
+
+        if (!schema) {
+            issues.push({ severity: 'warning', file: file, recordId: null, field: null, message: 'no schema for this file' });
+            return issues;
+        }
+        if (!Array.isArray(records)) {
+            issues.push({ severity: 'error', file: file, recordId: null, field: null, message: 'expected an array of records, got ' + DataValidator.typeOf(records) });
+            return issues;
+        }
+
+        var seenIds = {};
+
+        records.forEach(function(record, index) {
+            var recordId = record && typeof record[schema.idField] === 'string' ? record[schema.idField] : '#' + index;
+
+            var report = function(severity, field, message) {
+                issues.push({ severity: severity, file: file, recordId: recordId, field: field, message: message });
+            };
+
+            if (DataValidator.typeOf(record) !== 'object') {
+                report('error', null, 'record is ' + DataValidator.typeOf(record) + ', expected object');
+                return;
+            }
+
+            if (seenIds[recordId]) {
+                report('error', schema.idField, 'duplicate id (also record #' + seenIds[recordId] + ')');
+            } else {
+                seenIds[recordId] = String(index);
+            }
+
+            DataValidator.checkFields(record, schema.fields, '', report);
+
+            if (schema.check) {
+                var problem = schema.check(record);
+                if (problem) report('error', null, problem);
+            }
+        });
+
+        return issues;
+    },
+
+    checkFields: function(object, fields, path, report) {
+        Object.keys(fields).forEach(function(key) {
+            DataValidator.checkValue(object[key], fields[key], path + key, report);
+        });
+
+        // Unknown keys are usually typos of a real field
+        Object.keys(object).forEach(function(key) {
+            if (!fields[key]) {
+                report('warning', path + key, 'unknown field');
+            }
+        });
+    },
+
+    checkValue: function(value, spec, path, report) {
+        if (value === undefined) {
+            if (spec.required) report('error', path, 'required field is missing');
+            return;
+        }
+
+        if (!DataValidator.matchesType(value, spec.type)) {
+            report('error', path, 'expected ' + spec.type + ', got ' + DataValidator.typeOf(value) + ' (' + JSON.stringify(value) + ')');
+            return;
+        }
+
+        if (spec.enum && spec.enum.indexOf(value) === -1) {
+            report('error', path, '"' + value + '" is not one of ' + spec.enum.join(', '));
+        }
+
+        if (spec.type === 'array') {
+            if (spec.min !== undefined && value.length < spec.min) report('error', path, 'needs at least ' + spec.min + ' entries');
+            if (spec.max !== undefined && value.length > spec.max) report('error', path, 'allows at most ' + spec.max + ' entries');
+            if (spec.items) {
+                value.forEach(function(item, index) {
+                    DataValidator.checkValue(item, spec.items, path + '[' + index + ']', report);
+                });
+            }
+        } else if (typeof value === 'number') {
+            if (spec.min !== undefined && value < spec.min) report('error', path, value + ' is below the minimum of ' + spec.min);
+            if (spec.max !== undefined && value > spec.max) report('error', path, value + ' is above the maximum of ' + spec.max);
+        }
+
+        if (spec.type === 'object') {
+            if (spec.fields) {
+                DataValidator.checkFields(value, spec.fields, path + '.', report);
+            }
+            if (spec.values) {
+                Object.keys(value).forEach(function(key) {
+                    DataValidator.checkValue(value[key], spec.values, path + '.' + key, report);
+                });
+            }
+        }
+    },
+
+    // dataByName: { items: [...], plants: [...] }
+    validateAll: function(dataByName) {
+        var issues = [];
+        Object.keys(dataByName).forEach(function(name) {
+            issues = issues.concat(DataValidator.validate(name, dataByName[name]));
+        });
+        return issues;
+    },
+
+    countErrors: function(issues) {
+        return issues.filter(function(issue) {
+            return issue.severity === 'error';
+        }).length;
+    },
+
+    // "items.json > apple > maxStack: expected integer, got string ("99")"
+    formatIssue: function(issue) {
+        var location = issue.file;
+        if (issue.recordId) location += ' > ' + issue.recordId;
+        if (issue.field) location += ' > ' + issue.field;
+        return (issue.severity === 'error' ? 'ERROR ' : 'WARNING ') + location + ': ' + issue.message;
+    },
+
+    formatReport: function(issues) {
+        if (issues.length === 0) return 'All data files are valid';
+
+        var errors = DataValidator.countErrors(issues);
+        var lines = [errors + ' error(s), ' + (issues.length - errors) + ' warning(s) in game data'];
+        issues.forEach(function(issue) {
+            lines.push('  ' + DataValidator.formatIssue(issue));
+        });
+        return lines.join('\n');
+    }
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Data Schemas Loaded ===');
+console.log('- DataSchemas: ' + Object.keys(DataSchemas).join(', '));
+console.log('- DataValidator');
+console.log('======================================');
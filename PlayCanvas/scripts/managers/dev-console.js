@@ -0,0 +1,385 @@
+// ============================================================================
+// PlayCanvas Developer Console
+// Gameplay commands for testing, typed into the debug panel
+// ============================================================================
+
+// Press ` in game to open it. Commands call the managers' own methods, so
+// everything they do is saved, recorded and announced like normal play:
+//
+//   give health_potion 5
+//   time set 18:00
+//   quest complete main_ancient_library
+//
+// More commands can be registered from any script:
+//
+//   DevConsole.registerCommand('heal', {
+//       usage: 'heal <amount>',
+//       description: 'Restore health',
+//       args: [null],
+//       run: function(args, devConsole) {
+//           return 'Healed ' + args[0];
+//       }
+//   });
+//
+// run returns the text to print, or DevConsole.error(message). Each entry in
+// args says how to complete that argument: a data file name ('items',
+// 'quests', ...) offers its record ids, an array offers those words, a
+// function returns a list, and null offers nothing. Release builds (the
+// releaseBuild attribute) never start the console.
+
+// ----------------------------------------------------------------------------
+// DEVELOPER CONSOLE
+// ----------------------------------------------------------------------------
+var DevConsole = pc.createScript('devConsole');
+
+DevConsole.getInstance = function() {
+    return DevConsole._instance;
+};
+
+DevConsole.attributes.add('releaseBuild', {
+    type: 'boolean',
+    default: false,
+    description: 'Set for published builds: the console stays off and the ` key does nothing'
+});
+
+DevConsole.attributes.add('historySize', {
+    type: 'number',
+    default: 50,
+    description: 'Commands remembered for the up and down keys'
+});
+
+EventBus.declareEvent('console:output', ['text:string', 'level:string'], 'Developer console printed a line (level: input, info or error)');
+
+DevConsole.commands = {}; // Name -> { usage, description, args, run }
+
+DevConsole.registerCommand = function(name, command) {
+    command.name = name;
+    command.args = command.args || [];
+    DevConsole.commands[name] = command;
+};
+
+DevConsole.error = function(message) {
+    return { error: message };
+};
+
+// Whole numbers only; NaN for anything else
+DevConsole.parseInteger = function(text) {
+    return /^-?\d+$/.test(text || '') ? parseInt(text, 10) : NaN;
+};
+
+DevConsole.prototype.initialize = function() {
+    if (this.releaseBuild) {
+        console.log('[DevConsole] Disabled in release builds');
+        return;
+    }
+
+    DevConsole._instance = this;
+
+    this.history = []; // Oldest first
+
+    console.log('[DevConsole] Initialized - ' + Object.keys(DevConsole.commands).length + ' commands');
+};
+
+DevConsole.prototype.print = function(text, level) {
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('console:output', text, level || 'info');
+    }
+};
+
+// Runs one line and returns { ok, message }; the echo and the result are
+// printed too. Async commands (save, load) print their outcome later
+DevConsole.prototype.execute = function(line) {
+    line = String(line || '').trim();
+    if (!line) return { ok: true, message: '' };
+
+    this.history.push(line);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    this.print('> ' + line, 'input');
+
+    var words = line.split(/\s+/);
+    var command = DevConsole.commands[words[0]];
+    var result;
+
+    if (!command) {
+        result = DevConsole.error('Unknown command "' + words[0] + '" - try help');
+    } else {
+        try {
+            result = command.run(words.slice(1), this);
+        } catch (e) {
+            console.warn('[DevConsole] ' + words[0] + ' failed:', e);
+            result = DevConsole.error(words[0] + ' failed: ' + e.message);
+        }
+    }
+
+    var outcome = result && result.error !== undefined ?
+        { ok: false, message: result.error } :
+        { ok: true, message: result || '' };
+
+    if (outcome.message) {
+        this.print(outcome.message, outcome.ok ? 'info' : 'error');
+    }
+    return outcome;
+};
+
+DevConsole.prototype.getHistory = function() {
+    return this.history;
+};
+
+// ----------------------------------------------------------------------------
+// Autocomplete
+// ----------------------------------------------------------------------------
+
+// Words the argument at index can be, before filtering by what's typed
+DevConsole.prototype.getArgumentOptions = function(command, index) {
+    var source = command.args[index];
+    if (!source) return [];
+    if (Array.isArray(source)) return source;
+    if (typeof source === 'function') return source() || [];
+
+    // A data file name: the ids of its records, packs included
+    var gameManager = GameManager.getInstance();
+    var records = gameManager ? gameManager.getGameData()[source] : null;
+    var idField = DataSchemas[source] ? DataSchemas[source].idField : null;
+    if (!records || !idField) return [];
+
+    return records.map(function(record) {
+        return record[idField];
+    });
+};
+
+// Completes the last word of line. Returns { line, candidates }: line is
+// extended as far as every candidate agrees
+DevConsole.prototype.complete = function(line) {
+    var words = String(line || '').replace(/^\s+/, '').split(/\s+/);
+    var partial = words.pop();
+    var options;
+
+    if (words.length === 0) {
+        options = Object.keys(DevConsole.commands);
+    } else {
+        var command = DevConsole.commands[words[0]];
+        options = command ? this.getArgumentOptions(command, words.length - 1) : [];
+    }
+
+    var candidates = options.filter(function(option) {
+        return typeof option === 'string' && option.indexOf(partial) === 0;
+    }).sort();
+
+    if (candidates.length === 0) {
+        return { line: line, candidates: [] };
+    }
+
+    var common = candidates.reduce(function(prefix, candidate) {
+        while (candidate.indexOf(prefix) !== 0) prefix = prefix.slice(0, -1);
+        return prefix;
+    });
+    if (candidates.length === 1) common += ' ';
+
+    return {
+        line: words.concat(common).join(' '),
+        candidates: candidates
+    };
+};
+
+// ----------------------------------------------------------------------------
+// Commands
+// ----------------------------------------------------------------------------
+
+// Commands throw for a missing manager or a bad slot; execute reports it
+DevConsole.requireManager = function(name) {
+    var scriptType = window[name];
+    var manager = scriptType && scriptType.getInstance ? scriptType.getInstance() : null;
+    if (!manager) throw new Error(name + ' is not in the scene');
+    return manager;
+};
+
+// Slots are typed as shown in the menu, from 1
+DevConsole.parseSlot = function(text) {
+    if (text === undefined) return undefined;
+
+    var slot = DevConsole.parseInteger(text);
+    if (isNaN(slot) || slot < 1) throw new Error('Slots are numbered from 1');
+    return slot - 1;
+};
+
+DevConsole.registerCommand('help', {
+    usage: 'help [command]',
+    description: 'List commands, or explain one',
+    args: [function() {
+        return Object.keys(DevConsole.commands);
+    }],
+    run: function(args) {
+        var names = args[0] ? [args[0]] : Object.keys(DevConsole.commands).sort();
+        if (!DevConsole.commands[names[0]]) {
+            return DevConsole.error('Unknown command "' + args[0] + '"');
+        }
+
+        return names.map(function(name) {
+            var command = DevConsole.commands[name];
+            return (command.usage || name) + ' - ' + command.description;
+        }).join('\n');
+    }
+});
+
+DevConsole.registerCommand('give', {
+    usage: 'give <itemID> [count]',
+    description: 'Add items to the inventory',
+    args: ['items', null],
+    run: function(args) {
+        var count = args[1] === undefined ? 1 : DevConsole.parseInteger(args[1]);
+        if (!args[0]) return DevConsole.error('Usage: give <itemID> [count]');
+        if (!(count > 0)) return DevConsole.error('Count must be a positive whole number');
+
+        if (!DevConsole.requireManager('InventoryManager').addItem(args[0], count)) {
+            return DevConsole.error('Could not give ' + args[0] + ' (unknown item, full inventory or too heavy)');
+        }
+        return 'Gave ' + count + ' x ' + args[0];
+    }
+});
+
+DevConsole.registerCommand('gold', {
+    usage: 'gold <amount>',
+    description: 'Add gold, or take it away with a negative amount',
+    run: function(args) {
+        var amount = DevConsole.parseInteger(args[0]);
+        if (isNaN(amount)) return DevConsole.error('Usage: gold <amount>');
+
+        var inventory = DevConsole.requireManager('InventoryManager');
+        var changed = amount >= 0 ?
+            inventory.addCurrency('gold', amount) :
+            inventory.removeCurrency('gold', -amount);
+
+        if (!changed) return DevConsole.error('Not enough gold (' + inventory.currency.gold + ')');
+        return 'Gold: ' + inventory.currency.gold;
+    }
+});
+
+// Moves the clock forward rather than setting it, so crops, shops and
+// cooldowns see the time pass
+DevConsole.registerCommand('time', {
+    usage: 'time set <HH:MM>',
+    description: 'Advance the clock to the next HH:MM',
+    args: [['set'], null],
+    run: function(args) {
+        var match = args[0] === 'set' && /^(\d{1,2}):(\d{2})$/.exec(args[1] || '');
+        if (!match) return DevConsole.error('Usage: time set <HH:MM>');
+
+        var hour = parseInt(match[1], 10);
+        var minute = parseInt(match[2], 10);
+        if (hour > 23 || minute > 59) return DevConsole.error('No such time: ' + args[1]);
+
+        var timeManager = DevConsole.requireManager('TimeManager');
+        timeManager.advanceToTime(hour, minute);
+        return 'Day ' + timeManager.currentDay + ', ' + timeManager.getTimeString();
+    }
+});
+
+DevConsole.registerCommand('season', {
+    usage: 'season <season>',
+    description: 'Switch season without moving the clock',
+    args: [function() {
+        return TimeManager.SEASONS;
+    }],
+    run: function(args) {
+        if (!DevConsole.requireManager('TimeManager').setSeason(args[0])) {
+            return DevConsole.error('Seasons: ' + TimeManager.SEASONS.join(', '));
+        }
+        return 'Season: ' + args[0];
+    }
+});
+
+DevConsole.registerCommand('quest', {
+    usage: 'quest start|complete <questID>',
+    description: 'Start a quest, or complete it with its rewards (starting it first if needed)',
+    args: [['start', 'complete'], 'quests'],
+    run: function(args) {
+        var action = args[0];
+        var questId = args[1];
+        if ((action !== 'start' && action !== 'complete') || !questId) {
+            return DevConsole.error('Usage: quest start|complete <questID>');
+        }
+
+        var quests = DevConsole.requireManager('QuestManager');
+        if (!quests.questDefinitions[questId]) return DevConsole.error('Unknown quest: ' + questId);
+        if (quests.isQuestCompleted(questId)) return DevConsole.error(questId + ' is already completed');
+
+        if (!quests.isQuestActive(questId) && !quests.startQuest(questId)) {
+            return DevConsole.error('Could not start ' + questId);
+        }
+        if (action === 'start') return 'Started ' + questId;
+
+        return quests.completeQuest(questId) ? 'Completed ' + questId : DevConsole.error('Could not complete ' + questId);
+    }
+});
+
+DevConsole.registerCommand('spell', {
+    usage: 'spell learn <spellID>',
+    description: 'Learn a spell',
+    args: [['learn'], 'spells'],
+    run: function(args) {
+        if (args[0] !== 'learn' || !args[1]) return DevConsole.error('Usage: spell learn <spellID>');
+
+        var magic = DevConsole.requireManager('MagicManager');
+        if (magic.knowsSpell(args[1])) return DevConsole.error(args[1] + ' is already known');
+        if (!magic.learnSpell(args[1])) return DevConsole.error('Unknown spell: ' + args[1]);
+        return 'Learned ' + args[1];
+    }
+});
+
+DevConsole.registerCommand('weather', {
+    usage: 'weather <type>',
+    description: 'Change the weather',
+    args: [function() {
+        var weather = WeatherSystem.getInstance();
+        return weather ? Object.keys(weather.weatherTypes) : [];
+    }],
+    run: function(args) {
+        var weather = DevConsole.requireManager('WeatherSystem');
+        if (!weather.weatherTypes[args[0]]) {
+            return DevConsole.error('Weather types: ' + Object.keys(weather.weatherTypes).join(', '));
+        }
+
+        weather.changeWeather(args[0]);
+        return 'Weather: ' + args[0];
+    }
+});
+
+DevConsole.registerCommand('save', {
+    usage: 'save [slot]',
+    description: 'Save to a slot (default: the current one)',
+    run: function(args, devConsole) {
+        var saveSystem = DevConsole.requireManager('SaveSystem');
+        var slot = DevConsole.parseSlot(args[0]);
+
+        devConsole.print('Saving...');
+        saveSystem.saveGame(slot, function(success) {
+            devConsole.print(success ? 'Saved' : 'Save failed', success ? 'info' : 'error');
+        });
+    }
+});
+
+DevConsole.registerCommand('load', {
+    usage: 'load [slot]',
+    description: 'Load a slot (default: the current one)',
+    run: function(args, devConsole) {
+        var saveSystem = DevConsole.requireManager('SaveSystem');
+        var slot = DevConsole.parseSlot(args[0]);
+
+        devConsole.print('Loading...');
+        saveSystem.loadGame(slot, function(saveData) {
+            devConsole.print(saveData ? 'Loaded' : 'Load failed', saveData ? 'info' : 'error');
+        });
+    }
+});
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Developer Console Loaded ===');
+console.log('- DevConsole');
+console.log('- Commands: ' + Object.keys(DevConsole.commands).join(', '));
+console.log('===========================================');
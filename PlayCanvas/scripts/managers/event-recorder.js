@@ -0,0 +1,414 @@
+// ============================================================================
+// PlayCanvas Event Recorder
+// Session logs of EventBus traffic and deterministic replay for bug reports
+// ============================================================================
+
+// A session log is plain JSON:
+//
+//   {
+//       format: 'cozy-event-log',
+//       version: 2,
+//       startedAt: <epoch ms>,
+//       duration: <ms>,
+//       initialState: <SaveSystem.collectSaveData() when recording started>,
+//       finalState: <SaveSystem.collectSaveData() when recording stopped>,
+//       entries: [
+//           { time: <ms since start>, event: 'quest:started', args: [...], depth: 0 },
+//           { time: <ms since start>, action: 'InventoryManager.addItem', args: [...], depth: 0 },
+//           { time: <ms since start>, action: 'TimeManager.advanceMinutes', calls: [[1.5], [1.5]], depth: 0 }
+//       ]
+//   }
+//
+// Most state changes happen through direct manager calls rather than events,
+// so the manager methods listed in EventRecorder.actions are recorded too.
+// depth is 0 for events and actions triggered directly by gameplay code and
+// 1+ for anything fired from inside another event's listeners or another
+// recorded action. Replay only runs depth 0 entries - the nested ones are
+// regenerated by the game itself.
+//
+// The game clock is recorded as TimeManager.advanceMinutes actions, one per
+// frame, merged into a single entry with the args of each call in calls
+// until another root entry comes between. While replaying, the systems that
+// move on their own (clock, weather, player, auto-save) are suspended so the
+// log alone drives the game. Version 1 logs, from before the clock was
+// recorded, replay with the clock standing still.
+
+// ----------------------------------------------------------------------------
+// EVENT RECORDER
+// ----------------------------------------------------------------------------
+var EventRecorder = function(eventBus, options) {
+    options = options || {};
+
+    this.eventBus = eventBus;
+    this.maxEntries = options.maxEntries || 10000;
+    this.startTime = Date.now();
+    this.entries = [];
+    this.full = false;
+    this.wrapped = []; // { manager, method } pairs to restore on finish
+    this.lastRootEntry = null; // For merging per-frame actions
+    this.initialState = EventRecorder.snapshotState();
+
+    this.wrapActions();
+};
+
+EventRecorder.FORMAT = 'cozy-event-log';
+EventRecorder.VERSION = 2;
+
+// Manager methods that change game state, keyed by script global. Input and
+// movement (PlayerController) are not recorded
+EventRecorder.actions = {
+    InventoryManager: ['addItem', 'removeItem', 'moveItem', 'swapSlots', 'splitStack', 'mergeStacks', 'addCurrency', 'removeCurrency'],
+    FarmingManager: ['plantSeed', 'waterPlant', 'harvestPlant'],
+    QuestManager: ['startQuest', 'updateObjective', 'completeQuest'],
+    DialogueManager: ['startDialogue', 'selectChoice', 'endDialogue'],
+    MagicManager: ['learnSpell', 'castSpell'],
+    TimeManager: ['advanceMinutes', 'advanceHours', 'advanceDays', 'advanceToTime', 'advanceSeason', 'setSeason'],
+    WeatherSystem: ['changeWeather', 'changeToRandomWeather', 'finishTransition']
+};
+
+// Actions called every frame; back-to-back calls share one entry
+EventRecorder.mergedActions = ['TimeManager.advanceMinutes'];
+
+// Root events replay re-fires. Others report a change made by code that
+// replay doesn't run (game:stateChanged, inventory:changed after a load),
+// so firing them again would only mislead listeners
+EventRecorder.replayedEvents = ['player:heal', 'player:gainExperience'];
+
+EventRecorder.getManager = function(scriptName) {
+    var scriptType = window[scriptName];
+    return scriptType && scriptType.getInstance ? scriptType.getInstance() : null;
+};
+
+// Replay events describe the replay itself and are never recorded, and
+// time:tick comes from every recorded advanceMinutes
+EventRecorder.isIgnored = function(eventName) {
+    return eventName.indexOf('replay:') === 0 || eventName === 'time:tick';
+};
+
+EventRecorder.snapshotState = function() {
+    var saveSystem = SaveSystem.getInstance();
+    if (!saveSystem) return null;
+
+    // collectSaveData hands back live manager state
+    return JSON.parse(JSON.stringify(saveSystem.collectSaveData()));
+};
+
+// Copies an event argument into plain JSON. Entities, vectors and other
+// class instances are replaced by a { __ref } placeholder since they
+// can't be rebuilt in another session
+EventRecorder.serializeValue = function(value, seen) {
+    if (value === null || value === undefined) return null;
+
+    var type = typeof value;
+    if (type === 'number' || type === 'string' || type === 'boolean') return value;
+    if (type === 'function') return { __ref: 'function' };
+
+    seen = seen || [];
+    if (seen.indexOf(value) !== -1) return { __ref: 'circular' };
+
+    if (typeof value.toJSON === 'function') {
+        return EventRecorder.serializeValue(value.toJSON(), seen);
+    }
+
+    if (Array.isArray(value)) {
+        seen.push(value);
+        var items = value.map(function(item) {
+            return EventRecorder.serializeValue(item, seen);
+        });
+        seen.pop();
+        return items;
+    }
+
+    var proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+        return {
+            __ref: (value.constructor && value.constructor.name) || 'object',
+            name: typeof value.name === 'string' ? value.name : undefined
+        };
+    }
+
+    seen.push(value);
+    var copy = {};
+    for (var key in value) {
+        if (value.hasOwnProperty(key)) {
+            copy[key] = EventRecorder.serializeValue(value[key], seen);
+        }
+    }
+    seen.pop();
+    return copy;
+};
+
+// Shadows each action on the manager instance with a recording wrapper.
+// Anything the action fires runs one level deeper so it isn't replayed twice
+EventRecorder.prototype.wrapActions = function() {
+    var recorder = this;
+    var eventBus = this.eventBus;
+
+    Object.keys(EventRecorder.actions).forEach(function(scriptName) {
+        var manager = EventRecorder.getManager(scriptName);
+        if (!manager) return;
+
+        EventRecorder.actions[scriptName].forEach(function(method) {
+            var original = manager[method];
+            if (typeof original !== 'function') return;
+
+            var action = scriptName + '.' + method;
+            manager[method] = function() {
+                var args = Array.prototype.slice.call(arguments);
+                recorder.addAction(action, args, eventBus.fireDepth);
+
+                eventBus.fireDepth++;
+                try {
+                    return original.apply(manager, args);
+                } finally {
+                    eventBus.fireDepth--;
+                }
+            };
+            recorder.wrapped.push({ manager: manager, method: method });
+        });
+    });
+};
+
+EventRecorder.prototype.unwrapActions = function() {
+    this.wrapped.forEach(function(wrapped) {
+        delete wrapped.manager[wrapped.method];
+    });
+    this.wrapped = [];
+};
+
+EventRecorder.prototype.capture = function(eventName, args, depth) {
+    if (EventRecorder.isIgnored(eventName)) return;
+    this.addEntry({ event: eventName }, args, depth);
+};
+
+EventRecorder.prototype.addAction = function(action, args, depth) {
+    var last = this.lastRootEntry;
+    if (depth === 0 && last && last.action === action && EventRecorder.mergedActions.indexOf(action) !== -1 && !this.full) {
+        if (!last.calls) {
+            last.calls = [last.args];
+            delete last.args;
+        }
+        last.calls.push(EventRecorder.serializeArgs(args));
+        last.time = Date.now() - this.startTime;
+        return;
+    }
+
+    this.addEntry({ action: action }, args, depth);
+};
+
+// Trailing undefined arguments are dropped so logs stay compact
+EventRecorder.serializeArgs = function(args) {
+    var count = args.length;
+    while (count > 0 && args[count - 1] === undefined) count--;
+
+    var serialized = [];
+    for (var i = 0; i < count; i++) {
+        serialized.push(EventRecorder.serializeValue(args[i]));
+    }
+    return serialized;
+};
+
+EventRecorder.prototype.addEntry = function(entry, args, depth) {
+    if (this.full) return;
+
+    if (this.entries.length >= this.maxEntries) {
+        this.full = true;
+        console.warn('[EventRecorder] Reached ' + this.maxEntries + ' entries, recording stopped capturing');
+        return;
+    }
+
+    entry.time = Date.now() - this.startTime;
+    entry.args = EventRecorder.serializeArgs(args);
+    entry.depth = depth;
+
+    this.entries.push(entry);
+    if (!depth) this.lastRootEntry = entry;
+};
+
+EventRecorder.prototype.finish = function() {
+    this.unwrapActions();
+
+    return {
+        format: EventRecorder.FORMAT,
+        version: EventRecorder.VERSION,
+        startedAt: this.startTime,
+        duration: Date.now() - this.startTime,
+        initialState: this.initialState,
+        finalState: EventRecorder.snapshotState(),
+        entries: this.entries
+    };
+};
+
+EventRecorder.parseLog = function(text) {
+    var log;
+    try {
+        log = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+        throw new Error('Event log is not valid JSON');
+    }
+
+    if (!log || log.format !== EventRecorder.FORMAT || !Array.isArray(log.entries)) {
+        throw new Error('Not an event log');
+    }
+    if (log.version > EventRecorder.VERSION) {
+        throw new Error('Event log version ' + log.version + ' is newer than this build supports');
+    }
+
+    return log;
+};
+
+
+// ----------------------------------------------------------------------------
+// EVENT REPLAY
+// Restores the log's initial state into the running game, then re-runs the
+// recorded root events and actions on their original schedule or one at a time
+// ----------------------------------------------------------------------------
+var EventReplay = function(eventBus, log, options) {
+    options = options || {};
+
+    this.eventBus = eventBus;
+    this.log = log;
+    this.speed = options.speed || 1;
+    this.stepMode = !!options.stepMode;
+
+    this.rootEntries = log.entries.filter(function(entry) {
+        return !entry.depth;
+    });
+    this.position = 0;
+    this.elapsed = 0;
+    this.finished = false;
+};
+
+// Systems that change state from update() rather than through recorded
+// calls; they sit still until the replay finishes
+EventReplay.SUSPENDED_SYSTEMS = ['PlayerController', 'TimeManager', 'WeatherSystem', 'SaveSystem'];
+
+EventReplay.prototype.start = function() {
+    var gameManager = GameManager.getInstance();
+    var saveSystem = SaveSystem.getInstance();
+
+    // A fresh session: everything reset, then the recorded starting state
+    if (gameManager) {
+        gameManager.suspendSystems(EventReplay.SUSPENDED_SYSTEMS);
+        gameManager.resetAllManagers();
+    }
+    if (saveSystem && this.log.initialState) {
+        saveSystem.applySaveData(JSON.parse(JSON.stringify(this.log.initialState)));
+    }
+    if (gameManager && gameManager.gameState !== 'playing') {
+        gameManager.setGameState('playing');
+    }
+
+    this.eventBus.fire('replay:started', {
+        events: this.rootEntries.length,
+        duration: this.log.duration,
+        stepMode: this.stepMode
+    });
+};
+
+EventReplay.prototype.update = function(dt) {
+    if (this.finished || this.stepMode) return;
+
+    this.elapsed += dt * 1000 * this.speed;
+    while (this.position < this.rootEntries.length && this.rootEntries[this.position].time <= this.elapsed) {
+        this.step();
+    }
+
+    if (this.position >= this.rootEntries.length) {
+        this.finish();
+    }
+};
+
+// Runs the next recorded entry; returns it, or null once the log is done
+EventReplay.prototype.step = function() {
+    if (this.finished) return null;
+    if (this.position >= this.rootEntries.length) {
+        this.finish();
+        return null;
+    }
+
+    var entry = this.rootEntries[this.position++];
+    if (entry.action) {
+        this.runAction(entry);
+    } else if (EventRecorder.replayedEvents.indexOf(entry.event) !== -1) {
+        this.eventBus.fire.apply(this.eventBus, [entry.event].concat(entry.args));
+    }
+
+    this.eventBus.fire('replay:step', {
+        index: this.position - 1,
+        total: this.rootEntries.length,
+        entry: entry
+    });
+
+    if (this.stepMode && this.position >= this.rootEntries.length) {
+        this.finish();
+    }
+    return entry;
+};
+
+EventReplay.prototype.runAction = function(entry) {
+    var parts = entry.action.split('.');
+    var manager = EventRecorder.getManager(parts[0]);
+
+    if (!manager || typeof manager[parts[1]] !== 'function') {
+        console.warn('[EventReplay] Cannot replay ' + entry.action + ' - ' + parts[0] + ' is not in this scene');
+        return;
+    }
+
+    var calls = entry.calls || [entry.args];
+    calls.forEach(function(args) {
+        manager[parts[1]].apply(manager, JSON.parse(JSON.stringify(args)));
+    });
+};
+
+// Reports which save sections ended up different from the recorded session
+EventReplay.prototype.finish = function() {
+    if (this.finished) return;
+    this.finished = true;
+
+    var gameManager = GameManager.getInstance();
+    if (gameManager) {
+        gameManager.resumeSystems();
+    }
+
+    var diverged = [];
+    var finalState = this.log.finalState;
+    var currentState = EventRecorder.snapshotState();
+
+    if (finalState && currentState) {
+        var sections = Object.keys(finalState.data || {});
+        Object.keys(currentState.data || {}).forEach(function(key) {
+            if (sections.indexOf(key) === -1) sections.push(key);
+        });
+
+        sections.forEach(function(key) {
+            if (JSON.stringify(finalState.data[key]) !== JSON.stringify(currentState.data[key])) {
+                diverged.push(key);
+            }
+        });
+    }
+
+    var report = {
+        events: this.position,
+        diverged: diverged
+    };
+
+    if (diverged.length > 0) {
+        console.warn('[EventReplay] Replay finished, state differs from the recording in: ' + diverged.join(', '));
+    } else {
+        console.log('[EventReplay] Replay finished, state matches the recording');
+    }
+
+    this.eventBus.fire('replay:finished', report);
+    this.eventBus.replay = null;
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Event Recorder Loaded ===');
+console.log('- EventRecorder');
+console.log('- EventReplay');
+console.log('========================================');
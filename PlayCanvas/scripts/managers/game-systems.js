@@ -17,9 +17,11 @@ InventoryManager.getInstance = function() {
 InventoryManager.prototype.initialize = function() {
     InventoryManager._instance = this;
 
-    this.items = []; // [{itemId, quantity, slot}]
+    this.items = []; // [{itemId, quantity, slot}], one stack per slot, in no order
     this.maxSlots = 30;
     this.itemDefinitions = {}; // Loaded from JSON
+    this.weight = 0; // Carried weight, kept up to date by fireInventoryChanged()
+    this.encumbered = false;
 
     this.currency = {
         gold: 0,
@@ -29,83 +31,357 @@ InventoryManager.prototype.initialize = function() {
 
     console.log('[InventoryManager] Initialized');
 
+    SaveSystem.registerParticipant('InventoryManager', this, { order: 20 });
+
     // Load item definitions
     this.loadItemDefinitions();
+
+    // Data usually arrives after initialize, so load again once it has
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.on('data:loaded', this.loadItemDefinitions, this);
+    }
 };
 
 InventoryManager.prototype.loadItemDefinitions = function() {
     var gameManager = GameManager.getInstance();
     if (gameManager && gameManager.itemsData) {
+        this.itemDefinitions = {};
         gameManager.itemsData.forEach(function(item) {
             this.itemDefinitions[item.itemID] = item;
         }.bind(this));
         console.log('[InventoryManager] Loaded ' + Object.keys(this.itemDefinitions).length + ' item definitions');
+        this.weight = this.calculateWeight();
     }
 };
 
+// Stacks hold up to maxStack; unstackable items take a slot each
+InventoryManager.prototype.getStackLimit = function(itemId) {
+    var itemDef = this.itemDefinitions[itemId];
+    return itemDef && itemDef.stackable ? itemDef.maxStack : 1;
+};
+
+InventoryManager.prototype.isValidSlot = function(slot) {
+    return typeof slot === 'number' && Math.floor(slot) === slot && slot >= 0 && slot < this.maxSlots;
+};
+
+// Item counts are whole and positive
+InventoryManager.isValidQuantity = function(quantity) {
+    return typeof quantity === 'number' && Math.floor(quantity) === quantity && quantity > 0;
+};
+
+InventoryManager.prototype.getStack = function(slot) {
+    return this.items.find(function(i) { return i.slot === slot; }) || null;
+};
+
+// Lowest empty slot, or -1 when every slot is taken
+InventoryManager.prototype.findEmptySlot = function() {
+    for (var slot = 0; slot < this.maxSlots; slot++) {
+        if (!this.getStack(slot)) return slot;
+    }
+    return -1;
+};
+
+// Stacks of itemId in slot order
+InventoryManager.prototype.getStacks = function(itemId) {
+    return this.items.filter(function(i) {
+        return i.itemId === itemId;
+    }).sort(function(a, b) {
+        return a.slot - b.slot;
+    });
+};
+
+// Why addItem would refuse, without trying: 'invalidQuantity',
+// 'unknownItem', 'full' or 'tooHeavy'; null when it all fits
+InventoryManager.prototype.checkAdd = function(itemId, quantity) {
+    if (!InventoryManager.isValidQuantity(quantity)) return 'invalidQuantity';
+    if (!this.itemDefinitions[itemId]) return 'unknownItem';
+
+    var limit = this.getStackLimit(itemId);
+    var room = this.getStacks(itemId).reduce(function(total, stack) {
+        return total + Math.max(limit - stack.quantity, 0);
+    }, 0);
+    room += (this.maxSlots - this.items.length) * limit;
+
+    if (room < quantity) return 'full';
+    if (!this.canCarry(itemId, quantity)) return 'tooHeavy';
+    return null;
+};
+
+// Fills existing stacks first, then new stacks in the lowest empty slots.
+// Nothing is added unless all of it fits; a refusal fires
+// inventory:addRefused so the player hears why
 InventoryManager.prototype.addItem = function(itemId, quantity) {
-    quantity = quantity || 1;
+    if (quantity === undefined) quantity = 1;
+    if (!InventoryManager.isValidQuantity(quantity)) {
+        console.error('[InventoryManager] Invalid quantity for ' + itemId + ':', quantity);
+        return false;
+    }
 
-    var itemDef = this.itemDefinitions[itemId];
-    if (!itemDef) {
+    // Listeners may veto the pickup or change what arrives
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        var before = eventBus.fireBefore('inventory:beforeAdd', { itemId: itemId, quantity: quantity });
+        if (before.cancelled) return false;
+        itemId = before.itemId;
+        quantity = before.quantity;
+
+        if (!InventoryManager.isValidQuantity(quantity)) {
+            console.error('[InventoryManager] inventory:beforeAdd left an invalid quantity for ' + itemId + ':', quantity);
+            return false;
+        }
+    }
+
+    var refusal = this.checkAdd(itemId, quantity);
+    if (refusal === 'unknownItem') {
         console.error('[InventoryManager] Item not found:', itemId);
         return false;
     }
-
-    // Check if stackable
-    if (itemDef.stackable) {
-        var existing = this.items.find(function(i) { return i.itemId === itemId; });
-        if (existing) {
-            existing.quantity += quantity;
-            this.fireInventoryChanged();
-            return true;
+    if (refusal) {
+        console.warn('[InventoryManager] Cannot add ' + quantity + ' x ' + itemId + ': ' + refusal);
+        if (eventBus) {
+            eventBus.fire('inventory:addRefused', { itemId: itemId, quantity: quantity, reason: refusal });
         }
+        return false;
     }
 
-    // Add new item
-    if (this.items.length < this.maxSlots) {
+    var limit = this.getStackLimit(itemId);
+    var remaining = quantity;
+    this.getStacks(itemId).forEach(function(stack) {
+        var added = Math.min(Math.max(limit - stack.quantity, 0), remaining);
+        stack.quantity += added;
+        remaining -= added;
+    });
+
+    while (remaining > 0) {
+        var count = Math.min(limit, remaining);
         this.items.push({
             itemId: itemId,
-            quantity: quantity,
-            slot: this.items.length
+            quantity: count,
+            slot: this.findEmptySlot()
         });
-        this.fireInventoryChanged();
-        return true;
+        remaining -= count;
     }
 
-    console.warn('[InventoryManager] Inventory full!');
-    return false;
+    this.fireInventoryChanged();
+    return true;
 };
 
+// Takes from the stacks in the highest slots first
 InventoryManager.prototype.removeItem = function(itemId, quantity) {
-    quantity = quantity || 1;
-
-    var item = this.items.find(function(i) { return i.itemId === itemId; });
-    if (!item || item.quantity < quantity) {
+    if (quantity === undefined) quantity = 1;
+    if (!InventoryManager.isValidQuantity(quantity) || this.getItemCount(itemId) < quantity) {
         return false;
     }
 
-    item.quantity -= quantity;
-    if (item.quantity <= 0) {
-        var index = this.items.indexOf(item);
-        this.items.splice(index, 1);
+    var eventBus = EventBus.getInstance();
+    if (eventBus && eventBus.fireBefore('inventory:beforeRemove', { itemId: itemId, quantity: quantity }).cancelled) {
+        return false;
     }
 
+    var remaining = quantity;
+    this.getStacks(itemId).reverse().forEach(function(stack) {
+        var taken = Math.min(stack.quantity, remaining);
+        stack.quantity -= taken;
+        remaining -= taken;
+    });
+
+    // Emptied stacks free their slot; every other stack stays where it is
+    this.items = this.items.filter(function(i) {
+        return i.quantity > 0;
+    });
+
     this.fireInventoryChanged();
     return true;
 };
 
 InventoryManager.prototype.hasItem = function(itemId, quantity) {
     quantity = quantity || 1;
-    var item = this.items.find(function(i) { return i.itemId === itemId; });
-    return item && item.quantity >= quantity;
+    return this.getItemCount(itemId) >= quantity;
 };
 
 InventoryManager.prototype.getItemCount = function(itemId) {
-    var item = this.items.find(function(i) { return i.itemId === itemId; });
-    return item ? item.quantity : 0;
+    return this.getStacks(itemId).reduce(function(total, stack) {
+        return total + stack.quantity;
+    }, 0);
+};
+
+// ----------------------------------------------------------------------------
+// Slots
+// ----------------------------------------------------------------------------
+
+// Drag-and-drop: onto an empty slot moves the stack, onto the same item
+// merges what fits, onto another item swaps. With quantity, only that many
+// move, and only onto an empty slot or the same item
+InventoryManager.prototype.moveItem = function(fromSlot, toSlot, quantity) {
+    var source = this.getStack(fromSlot);
+    if (!source || !this.isValidSlot(toSlot) || fromSlot === toSlot) return false;
+
+    if (quantity !== undefined && !InventoryManager.isValidQuantity(quantity)) return false;
+
+    var target = this.getStack(toSlot);
+    if (quantity !== undefined && quantity < source.quantity) {
+        if (!target) return this.splitStack(fromSlot, quantity, toSlot);
+        if (target.itemId === source.itemId) return this.mergeStacks(fromSlot, toSlot, quantity);
+        return false;
+    }
+
+    if (target && target.itemId === source.itemId && this.getStackLimit(source.itemId) > 1) {
+        return this.mergeStacks(fromSlot, toSlot);
+    }
+    return this.swapSlots(fromSlot, toSlot);
+};
+
+// Either slot may be empty
+InventoryManager.prototype.swapSlots = function(slotA, slotB) {
+    if (!this.isValidSlot(slotA) || !this.isValidSlot(slotB) || slotA === slotB) return false;
+
+    var stackA = this.getStack(slotA);
+    var stackB = this.getStack(slotB);
+    if (!stackA && !stackB) return false;
+
+    if (stackA) stackA.slot = slotB;
+    if (stackB) stackB.slot = slotA;
+
+    this.fireInventoryChanged();
+    return true;
+};
+
+// Moves quantity off a stack into toSlot, or the lowest empty slot
+InventoryManager.prototype.splitStack = function(slot, quantity, toSlot) {
+    var source = this.getStack(slot);
+    if (!source || !InventoryManager.isValidQuantity(quantity) || quantity >= source.quantity) return false;
+
+    if (toSlot === undefined) toSlot = this.findEmptySlot();
+    if (!this.isValidSlot(toSlot) || this.getStack(toSlot)) return false;
+
+    source.quantity -= quantity;
+    this.items.push({ itemId: source.itemId, quantity: quantity, slot: toSlot });
+
+    this.fireInventoryChanged();
+    return true;
+};
+
+// Moves as much of fromSlot (or quantity of it) onto toSlot as its stack
+// limit allows; the rest stays behind
+InventoryManager.prototype.mergeStacks = function(fromSlot, toSlot, quantity) {
+    var source = this.getStack(fromSlot);
+    var target = this.getStack(toSlot);
+    if (!source || !target || source === target || source.itemId !== target.itemId) return false;
+    if (quantity !== undefined && !InventoryManager.isValidQuantity(quantity)) return false;
+
+    var moved = Math.min(quantity === undefined ? source.quantity : quantity, source.quantity,
+        this.getStackLimit(target.itemId) - target.quantity);
+    if (!(moved > 0)) return false;
+
+    source.quantity -= moved;
+    target.quantity += moved;
+    if (source.quantity <= 0) {
+        this.items.splice(this.items.indexOf(source), 1);
+    }
+
+    this.fireInventoryChanged();
+    return true;
+};
+
+// Saves from before slots were kept in step can repeat a slot or hold more
+// than maxStack; those stacks move (or split) into free slots while they last
+InventoryManager.prototype.repairSlots = function() {
+    var stacks = this.items;
+    var taken = {};
+    var misplaced = [];
+    this.items = [];
+
+    stacks.forEach(function(stack) {
+        if (this.isValidSlot(stack.slot) && !taken[stack.slot]) {
+            taken[stack.slot] = true;
+            this.items.push(stack);
+        } else {
+            misplaced.push(stack);
+        }
+    }.bind(this));
+
+    misplaced.forEach(function(stack) {
+        stack.slot = this.findEmptySlot();
+        if (stack.slot === -1) {
+            console.warn('[InventoryManager] No slot left for ' + stack.quantity + ' x ' + stack.itemId);
+            return;
+        }
+        this.items.push(stack);
+    }.bind(this));
+
+    this.items.slice().forEach(function(stack) {
+        var limit = this.getStackLimit(stack.itemId);
+        while (stack.quantity > limit && this.findEmptySlot() !== -1) {
+            var count = Math.min(limit, stack.quantity - limit);
+            stack.quantity -= count;
+            this.items.push({ itemId: stack.itemId, quantity: count, slot: this.findEmptySlot() });
+        }
+    }.bind(this));
+};
+
+// ----------------------------------------------------------------------------
+// Weight
+// ----------------------------------------------------------------------------
+
+// Past the max weight the player slows down; pickups that would take the
+// load past max weight x OVERLOAD_FACTOR are refused
+InventoryManager.OVERLOAD_FACTOR = 1.5;
+
+// Used when there is no player to ask, e.g. in tools
+InventoryManager.DEFAULT_MAX_WEIGHT = 100;
+
+InventoryManager.prototype.getItemWeight = function(itemId) {
+    var itemDef = this.itemDefinitions[itemId];
+    return itemDef && itemDef.weight || 0;
+};
+
+InventoryManager.prototype.getWeight = function() {
+    return this.weight;
+};
+
+// Rounded to hundredths so 0.1 + 0.2 comes out as 0.3
+InventoryManager.prototype.calculateWeight = function() {
+    var weight = this.items.reduce(function(total, stack) {
+        return total + this.getItemWeight(stack.itemId) * stack.quantity;
+    }.bind(this), 0);
+    return Math.round(weight * 100) / 100;
 };
 
+// Carried gear with a carryWeight stat in items.json (a backpack, say)
+// raises the max weight; each kind of item counts once
+InventoryManager.prototype.getCarryBonus = function() {
+    var counted = {};
+    return this.items.reduce(function(total, stack) {
+        var itemDef = this.itemDefinitions[stack.itemId];
+        if (counted[stack.itemId] || !itemDef || !itemDef.stats || !itemDef.stats.carryWeight) return total;
+        counted[stack.itemId] = true;
+        return total + itemDef.stats.carryWeight;
+    }.bind(this), 0);
+};
+
+// The player's carryWeight stat plus the carry bonus
+InventoryManager.prototype.getMaxWeight = function() {
+    var player = this.app.root.findByName('Player');
+    if (player && player.script && player.script.playerController) {
+        return player.script.playerController.getMaxCarryWeight();
+    }
+    return InventoryManager.DEFAULT_MAX_WEIGHT + this.getCarryBonus();
+};
+
+InventoryManager.prototype.isEncumbered = function() {
+    return this.weight > this.getMaxWeight();
+};
+
+InventoryManager.prototype.canCarry = function(itemId, quantity) {
+    var added = this.getItemWeight(itemId) * (quantity || 1);
+    return this.weight + added <= this.getMaxWeight() * InventoryManager.OVERLOAD_FACTOR;
+};
+
+// ----------------------------------------------------------------------------
+// Currency
+// ----------------------------------------------------------------------------
+
 InventoryManager.prototype.addCurrency = function(type, amount) {
     if (this.currency[type] !== undefined) {
         this.currency[type] += amount;
@@ -129,10 +405,27 @@ InventoryManager.prototype.hasCurrency = function(type, amount) {
 };
 
 InventoryManager.prototype.fireInventoryChanged = function() {
+    this.weight = this.calculateWeight();
+
     var eventBus = EventBus.getInstance();
     if (eventBus) {
         eventBus.fire('inventory:changed', this.items, this.currency);
     }
+
+    this.updateEncumbrance();
+};
+
+// Also called by PlayerController once its stats change, since the max
+// weight comes from them
+InventoryManager.prototype.updateEncumbrance = function() {
+    var encumbered = this.isEncumbered();
+    if (encumbered === this.encumbered) return;
+
+    this.encumbered = encumbered;
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('inventory:encumbranceChanged', encumbered, this.weight, this.getMaxWeight());
+    }
 };
 
 InventoryManager.prototype.getSaveData = function() {
@@ -145,6 +438,13 @@ InventoryManager.prototype.getSaveData = function() {
 InventoryManager.prototype.loadSaveData = function(data) {
     this.items = data.items || [];
     this.currency = data.currency || { gold: 0, silver: 0, gems: 0 };
+    this.repairSlots();
+    this.fireInventoryChanged();
+};
+
+InventoryManager.prototype.reset = function() {
+    this.items = [];
+    this.currency = { gold: 0, silver: 0, gems: 0 };
     this.fireInventoryChanged();
 };
 
@@ -167,11 +467,17 @@ FarmingManager.prototype.initialize = function() {
 
     console.log('[FarmingManager] Initialized');
 
+    // Crops reference plant definitions, so load after time and inventory
+    SaveSystem.registerParticipant('FarmingManager', this, { order: 30 });
+
     this.loadPlantDefinitions();
 
-    // Listen to time ticks
     var eventBus = EventBus.getInstance();
     if (eventBus) {
+        // Data usually arrives after initialize, so load again once it has
+        eventBus.on('data:loaded', this.loadPlantDefinitions, this);
+
+        // Crops grow with the game clock
         eventBus.on('time:tick', this.updateCrops, this);
     }
 };
@@ -179,6 +485,7 @@ FarmingManager.prototype.initialize = function() {
 FarmingManager.prototype.loadPlantDefinitions = function() {
     var gameManager = GameManager.getInstance();
     if (gameManager && gameManager.plantsData) {
+        this.plantDefinitions = {};
         gameManager.plantsData.forEach(function(plant) {
             this.plantDefinitions[plant.plantID] = plant;
         }.bind(this));
@@ -203,12 +510,18 @@ FarmingManager.prototype.plantSeed = function(plantId, gridX, gridY) {
 
     // Check if player has seed
     var inventory = InventoryManager.getInstance();
-    var seedId = plantId + '_seed';
+    var seedId = plantDef.seedItemID;
     if (!inventory.hasItem(seedId, 1)) {
         console.warn('[FarmingManager] No seeds');
         return false;
     }
 
+    // e.g. cutscenes block planting
+    var eventBus = EventBus.getInstance();
+    if (eventBus && eventBus.fireBefore('farming:beforePlant', { plantId: plantId, gridX: gridX, gridY: gridY }).cancelled) {
+        return false;
+    }
+
     // Remove seed
     inventory.removeItem(seedId, 1);
 
@@ -218,7 +531,7 @@ FarmingManager.prototype.plantSeed = function(plantId, gridX, gridY) {
         plantDef: plantDef,
         gridX: gridX,
         gridY: gridY,
-        plantedTime: Date.now(),
+        plantedAt: TimeManager.getGameMinutes(), // Game minutes
         currentStage: 0,
         watered: false,
         ready: false
@@ -229,7 +542,6 @@ FarmingManager.prototype.plantSeed = function(plantId, gridX, gridY) {
     // Create visual
     this.createPlantEntity(plant);
 
-    var eventBus = EventBus.getInstance();
     if (eventBus) {
         eventBus.fire('farming:planted', plant);
     }
@@ -277,13 +589,14 @@ FarmingManager.prototype.waterPlant = function(gridX, gridY) {
     return true;
 };
 
+// Runs on time:tick, so crops only grow while the clock moves
 FarmingManager.prototype.updateCrops = function() {
     for (var gridKey in this.plantedCrops) {
         var plant = this.plantedCrops[gridKey];
         if (plant.ready) continue;
 
-        var timeSincePlanted = (Date.now() - plant.plantedTime) / 1000; // seconds
-        var growthProgress = timeSincePlanted / plant.plantDef.growthTime;
+        var minutesGrown = TimeManager.getGameMinutes() - plant.plantedAt;
+        var growthProgress = minutesGrown / this.getGrowthTime(plant.plantDef);
 
         // Calculate stage
         var newStage = Math.floor(growthProgress * plant.plantDef.growthStages);
@@ -306,6 +619,11 @@ FarmingManager.prototype.updateCrops = function() {
     }
 };
 
+// Game minutes from planting to harvest
+FarmingManager.prototype.getGrowthTime = function(plantDef) {
+    return plantDef.timePerStage * plantDef.growthStages;
+};
+
 FarmingManager.prototype.updatePlantVisual = function(plant) {
     if (plant.entity) {
         var scale = 0.3 + (plant.currentStage / plant.plantDef.growthStages) * 0.7;
@@ -322,13 +640,27 @@ FarmingManager.prototype.harvestPlant = function(gridX, gridY) {
     }
 
     // Calculate yield
-    var yieldAmount = Math.floor(
-        Math.random() * (plant.plantDef.maxYield - plant.plantDef.minYield + 1)
-    ) + plant.plantDef.minYield;
+    var harvestYield = plant.plantDef.harvestYield;
+    var yieldAmount = RandomService.getStream('loot').int(harvestYield.minQuantity, harvestYield.maxQuantity);
 
-    // Add to inventory
+    // Listeners may block the harvest or adjust the yield (buffs, tools)
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        var before = eventBus.fireBefore('farming:beforeHarvest', {
+            plantId: plant.plantId,
+            gridX: gridX,
+            gridY: gridY,
+            yield: yieldAmount
+        });
+        if (before.cancelled) return false;
+        yieldAmount = before.yield;
+    }
+
+    // No room (or too heavy): the crop stays ready in the ground
     var inventory = InventoryManager.getInstance();
-    inventory.addItem(plant.plantDef.harvestedItemID, yieldAmount);
+    if (yieldAmount > 0 && !inventory.addItem(harvestYield.itemID, yieldAmount)) {
+        return false;
+    }
 
     // Remove visual
     if (plant.entity) {
@@ -338,7 +670,6 @@ FarmingManager.prototype.harvestPlant = function(gridX, gridY) {
     // Remove from planted crops
     delete this.plantedCrops[gridKey];
 
-    var eventBus = EventBus.getInstance();
     if (eventBus) {
         eventBus.fire('farming:harvested', {
             plantId: plant.plantId,
@@ -357,7 +688,7 @@ FarmingManager.prototype.getSaveData = function() {
             plantId: plant.plantId,
             gridX: plant.gridX,
             gridY: plant.gridY,
-            plantedTime: plant.plantedTime,
+            plantedAt: plant.plantedAt,
             currentStage: plant.currentStage,
             watered: plant.watered,
             ready: plant.ready
@@ -367,13 +698,7 @@ FarmingManager.prototype.getSaveData = function() {
 };
 
 FarmingManager.prototype.loadSaveData = function(data) {
-    // Clear existing
-    for (var gridKey in this.plantedCrops) {
-        if (this.plantedCrops[gridKey].entity) {
-            this.plantedCrops[gridKey].entity.destroy();
-        }
-    }
-    this.plantedCrops = {};
+    this.clearCrops();
 
     // Restore crops
     if (data.plantedCrops) {
@@ -384,7 +709,7 @@ FarmingManager.prototype.loadSaveData = function(data) {
                 plantDef: this.plantDefinitions[cropData.plantId],
                 gridX: cropData.gridX,
                 gridY: cropData.gridY,
-                plantedTime: cropData.plantedTime,
+                plantedAt: cropData.plantedAt,
                 currentStage: cropData.currentStage,
                 watered: cropData.watered,
                 ready: cropData.ready
@@ -397,6 +722,20 @@ FarmingManager.prototype.loadSaveData = function(data) {
 };
 
 
+FarmingManager.prototype.clearCrops = function() {
+    for (var gridKey in this.plantedCrops) {
+        if (this.plantedCrops[gridKey].entity) {
+            this.plantedCrops[gridKey].entity.destroy();
+        }
+    }
+    this.plantedCrops = {};
+};
+
+FarmingManager.prototype.reset = function() {
+    this.clearCrops();
+};
+
+
 // ----------------------------------------------------------------------------
 // QUEST MANAGER
 // Converted from Unity QuestManager.cs
@@ -412,16 +751,27 @@ QuestManager.prototype.initialize = function() {
 
     this.activeQuests = []; // Quests in progress
     this.completedQuests = []; // Completed quest IDs
+    this.pendingRewards = []; // [{itemID, quantity}] earned but not yet carried
     this.questDefinitions = {}; // Loaded from JSON
 
     console.log('[QuestManager] Initialized');
 
+    SaveSystem.registerParticipant('QuestManager', this, { order: 40 });
+
     this.loadQuestDefinitions();
+
+    // Data usually arrives after initialize, so load again once it has
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.on('data:loaded', this.loadQuestDefinitions, this);
+        eventBus.on('inventory:changed', this.givePendingRewards, this);
+    }
 };
 
 QuestManager.prototype.loadQuestDefinitions = function() {
     var gameManager = GameManager.getInstance();
     if (gameManager && gameManager.questsData) {
+        this.questDefinitions = {};
         gameManager.questsData.forEach(function(quest) {
             this.questDefinitions[quest.questID] = quest;
         }.bind(this));
@@ -441,9 +791,14 @@ QuestManager.prototype.startQuest = function(questId) {
         return false;
     }
 
+    var eventBus = EventBus.getInstance();
+    if (eventBus && eventBus.fireBefore('quest:beforeStart', { questId: questId }).cancelled) {
+        return false;
+    }
+
     // Create quest instance
     var quest = JSON.parse(JSON.stringify(questDef)); // Deep copy
-    quest.startTime = Date.now();
+    quest.startedAt = TimeManager.getGameMinutes();
     quest.isCompleted = false;
 
     // Initialize objectives
@@ -454,7 +809,6 @@ QuestManager.prototype.startQuest = function(questId) {
 
     this.activeQuests.push(quest);
 
-    var eventBus = EventBus.getInstance();
     if (eventBus) {
         eventBus.fire('quest:started', quest);
     }
@@ -503,7 +857,7 @@ QuestManager.prototype.completeQuest = function(questId) {
     if (!quest) return false;
 
     quest.isCompleted = true;
-    quest.completionTime = Date.now();
+    quest.completedAt = TimeManager.getGameMinutes();
 
     // Give rewards
     this.giveQuestRewards(quest);
@@ -538,11 +892,32 @@ QuestManager.prototype.giveQuestRewards = function(quest) {
         inventory.addCurrency('gold', quest.rewards.gold);
     }
 
-    // Items
-    if (quest.rewards && quest.rewards.itemRewards) {
-        quest.rewards.itemRewards.forEach(function(itemId) {
-            inventory.addItem(itemId, 1);
+    // Items that don't fit (full, too heavy) wait in pendingRewards
+    if (quest.rewards && quest.rewards.items) {
+        quest.rewards.items.forEach(function(reward) {
+            if (inventory.addItem(reward.itemID, reward.quantity)) return;
+
+            var refusal = inventory.checkAdd(reward.itemID, reward.quantity);
+            if (refusal === 'full' || refusal === 'tooHeavy') {
+                this.pendingRewards.push({ itemID: reward.itemID, quantity: reward.quantity });
+            }
+        }.bind(this));
+    }
+};
+
+// Hands over waiting rewards as soon as they fit, on any inventory change
+QuestManager.prototype.givePendingRewards = function() {
+    var inventory = InventoryManager.getInstance();
+    if (this.givingRewards || this.pendingRewards.length === 0 || !inventory) return;
+
+    this.givingRewards = true;
+    try {
+        this.pendingRewards = this.pendingRewards.filter(function(reward) {
+            return inventory.checkAdd(reward.itemID, reward.quantity) !== null ||
+                !inventory.addItem(reward.itemID, reward.quantity);
         });
+    } finally {
+        this.givingRewards = false;
     }
 };
 
@@ -565,13 +940,15 @@ QuestManager.prototype.isQuestCompleted = function(questId) {
 QuestManager.prototype.getSaveData = function() {
     return {
         activeQuests: this.activeQuests,
-        completedQuests: this.completedQuests
+        completedQuests: this.completedQuests,
+        pendingRewards: this.pendingRewards
     };
 };
 
 QuestManager.prototype.loadSaveData = function(data) {
     this.activeQuests = data.activeQuests || [];
     this.completedQuests = data.completedQuests || [];
+    this.pendingRewards = data.pendingRewards || [];
 
     var eventBus = EventBus.getInstance();
     if (eventBus) {
@@ -579,6 +956,10 @@ QuestManager.prototype.loadSaveData = function(data) {
     }
 };
 
+QuestManager.prototype.reset = function() {
+    this.loadSaveData({});
+};
+
 
 // ----------------------------------------------------------------------------
 // DIALOGUE MANAGER
@@ -595,12 +976,28 @@ DialogueManager.prototype.initialize = function() {
 
     this.currentDialogue = null;
     this.currentNode = null;
+    this.currentSource = null; // { npcId, treeName } for localized text
     this.dialogueHistory = [];
 
     console.log('[DialogueManager] Initialized');
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.on('game:stateChanged', this.onGameStateChanged, this);
+    }
+};
+
+// Continuing a save (or quitting to the menu) clears the dialogue state from
+// under an open conversation; close it too
+DialogueManager.prototype.onGameStateChanged = function(newState, oldState, stack) {
+    if (this.currentDialogue && stack && stack.indexOf('dialogue') === -1) {
+        this.endDialogue();
+    }
 };
 
-DialogueManager.prototype.startDialogue = function(dialogueTree, npcName) {
+// source is optional: { npcId, treeName } from npcs.json, which lets the
+// UI look up translations for the NPC's name and lines
+DialogueManager.prototype.startDialogue = function(dialogueTree, npcName, source) {
     if (!dialogueTree || !dialogueTree.nodes || dialogueTree.nodes.length === 0) {
         console.error('[DialogueManager] Invalid dialogue tree');
         return false;
@@ -608,10 +1005,17 @@ DialogueManager.prototype.startDialogue = function(dialogueTree, npcName) {
 
     this.currentDialogue = dialogueTree;
     this.currentNode = dialogueTree.nodes[0]; // Start node
+    this.currentSource = source || null;
+
+    // Dialogue stacks over play: the world keeps going, the player waits
+    var gameManager = GameManager.getInstance();
+    if (gameManager && gameManager.gameState === 'playing') {
+        gameManager.setGameState('dialogue');
+    }
 
     var eventBus = EventBus.getInstance();
     if (eventBus) {
-        eventBus.fire('dialogue:started', npcName, this.currentNode);
+        eventBus.fire('dialogue:started', npcName, this.currentNode, this.currentSource);
     }
 
     return true;
@@ -629,13 +1033,13 @@ DialogueManager.prototype.selectChoice = function(choiceIndex) {
 
     // Record choice
     this.dialogueHistory.push({
-        nodeId: this.currentNode.id,
+        nodeId: this.currentNode.nodeID,
         choiceIndex: choiceIndex,
         choiceText: choice.text
     });
 
     // Move to next node
-    var nextNode = this.findNodeById(choice.nextNodeId);
+    var nextNode = this.findNodeById(choice.nextNodeID);
     if (nextNode) {
         this.currentNode = nextNode;
 
@@ -652,14 +1056,15 @@ DialogueManager.prototype.selectChoice = function(choiceIndex) {
     }
 };
 
+// A choice without nextNodeID ends the dialogue
 DialogueManager.prototype.findNodeById = function(nodeId) {
-    if (!this.currentDialogue || !this.currentDialogue.nodes) {
+    if (!this.currentDialogue || !this.currentDialogue.nodes || nodeId === undefined) {
         return null;
     }
 
     return this.currentDialogue.nodes.find(function(node) {
-        return node.id === nodeId;
-    });
+        return node.nodeID === nodeId;
+    }) || null;
 };
 
 DialogueManager.prototype.endDialogue = function() {
@@ -670,6 +1075,12 @@ DialogueManager.prototype.endDialogue = function() {
 
     this.currentDialogue = null;
     this.currentNode = null;
+    this.currentSource = null;
+
+    var gameManager = GameManager.getInstance();
+    if (gameManager && gameManager.gameState === 'dialogue') {
+        gameManager.popState();
+    }
 };
 
 
@@ -688,16 +1099,25 @@ MagicManager.prototype.initialize = function() {
 
     this.knownSpells = []; // Spell IDs
     this.spellDefinitions = {}; // Loaded from JSON
-    this.spellCooldowns = {}; // {spellId: cooldownEndTime}
+    this.spellCooldowns = {}; // {spellId: game minute the cooldown ends}
 
     console.log('[MagicManager] Initialized');
 
+    SaveSystem.registerParticipant('MagicManager', this, { order: 20 });
+
     this.loadSpellDefinitions();
+
+    // Data usually arrives after initialize, so load again once it has
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.on('data:loaded', this.loadSpellDefinitions, this);
+    }
 };
 
 MagicManager.prototype.loadSpellDefinitions = function() {
     var gameManager = GameManager.getInstance();
     if (gameManager && gameManager.spellsData) {
+        this.spellDefinitions = {};
         gameManager.spellsData.forEach(function(spell) {
             this.spellDefinitions[spell.spellID] = spell;
         }.bind(this));
@@ -746,13 +1166,19 @@ MagicManager.prototype.castSpell = function(spellId, target) {
     // Check mana cost
     // (This would interact with PlayerStats)
 
-    // Apply cooldown
-    this.spellCooldowns[spellId] = Date.now() + (spellDef.cooldown * 1000);
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        var before = eventBus.fireBefore('magic:beforeCast', { spellId: spellId, target: target });
+        if (before.cancelled) return false;
+        target = before.target;
+    }
+
+    // Apply cooldown (game minutes)
+    this.spellCooldowns[spellId] = TimeManager.getGameMinutes() + spellDef.cooldown;
 
     // Cast spell effects
     this.applySpellEffects(spellDef, target);
 
-    var eventBus = EventBus.getInstance();
     if (eventBus) {
         eventBus.fire('magic:spellCast', spellId, target);
     }
@@ -786,18 +1212,431 @@ MagicManager.prototype.knowsSpell = function(spellId) {
 
 MagicManager.prototype.isSpellOnCooldown = function(spellId) {
     var cooldownEnd = this.spellCooldowns[spellId];
-    return cooldownEnd && Date.now() < cooldownEnd;
+    return !!cooldownEnd && TimeManager.getGameMinutes() < cooldownEnd;
+};
+
+// Game minutes until spellId can be cast again
+MagicManager.prototype.getCooldownRemaining = function(spellId) {
+    var cooldownEnd = this.spellCooldowns[spellId];
+    return cooldownEnd ? Math.max(0, cooldownEnd - TimeManager.getGameMinutes()) : 0;
 };
 
 MagicManager.prototype.getSaveData = function() {
     return {
-        knownSpells: this.knownSpells
+        knownSpells: this.knownSpells,
+        spellCooldowns: this.spellCooldowns
     };
 };
 
 MagicManager.prototype.loadSaveData = function(data) {
     this.knownSpells = data.knownSpells || [];
-    this.spellCooldowns = {}; // Reset cooldowns on load
+    this.spellCooldowns = data.spellCooldowns || {};
+};
+
+MagicManager.prototype.reset = function() {
+    this.loadSaveData({});
+};
+
+
+// ----------------------------------------------------------------------------
+// SHOP MANAGER
+// Merchant stock from npcs.json shopInventory, restocked on the game clock
+// ----------------------------------------------------------------------------
+var ShopManager = pc.createScript('shopManager');
+
+ShopManager.getInstance = function() {
+    return ShopManager._instance;
+};
+
+ShopManager.prototype.initialize = function() {
+    ShopManager._instance = this;
+
+    this.shops = {}; // {npcId: {itemId: { stock, maxStock, restockTime, lastRestock }}}
+
+    console.log('[ShopManager] Initialized');
+
+    SaveSystem.registerParticipant('ShopManager', this, { order: 30 });
+
+    this.loadShops();
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        // Data usually arrives after initialize, so load again once it has
+        eventBus.on('data:loaded', this.loadShops, this);
+        eventBus.on('time:tick', this.restockShops, this);
+    }
+};
+
+// Keeps current stock for entries that still exist
+ShopManager.prototype.loadShops = function() {
+    var gameManager = GameManager.getInstance();
+    if (!gameManager || !gameManager.npcsData) return;
+
+    var previous = this.shops;
+    var now = TimeManager.getGameMinutes();
+    this.shops = {};
+
+    gameManager.npcsData.forEach(function(npc) {
+        if (!npc.shopInventory) return;
+
+        var shop = this.shops[npc.npcID] = {};
+        npc.shopInventory.forEach(function(entry) {
+            var old = previous[npc.npcID] && previous[npc.npcID][entry.itemID];
+            shop[entry.itemID] = {
+                stock: old ? Math.min(old.stock, entry.stock) : entry.stock,
+                maxStock: entry.stock,
+                restockTime: entry.restockTime || 0, // Game minutes, 0 = never
+                lastRestock: old ? old.lastRestock : now
+            };
+        });
+    }.bind(this));
+
+    console.log('[ShopManager] Loaded ' + Object.keys(this.shops).length + ' shops');
+};
+
+ShopManager.prototype.getStock = function(npcId, itemId) {
+    var entry = this.shops[npcId] && this.shops[npcId][itemId];
+    return entry ? entry.stock : 0;
+};
+
+// Pays buyValue gold per item from the player's purse
+ShopManager.prototype.buyItem = function(npcId, itemId, quantity) {
+    quantity = quantity || 1;
+
+    var entry = this.shops[npcId] && this.shops[npcId][itemId];
+    var inventory = InventoryManager.getInstance();
+    if (!entry || !inventory || entry.stock < quantity) {
+        return false;
+    }
+
+    var itemDef = inventory.itemDefinitions[itemId];
+    var price = (itemDef && itemDef.buyValue || 0) * quantity;
+    if (!inventory.hasCurrency('gold', price)) {
+        return false;
+    }
+
+    if (!inventory.addItem(itemId, quantity)) {
+        return false;
+    }
+    inventory.removeCurrency('gold', price);
+    entry.stock -= quantity;
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('shop:purchased', { npcId: npcId, itemId: itemId, quantity: quantity, price: price });
+    }
+
+    return true;
+};
+
+// Refills every entry whose restockTime has passed since its last restock
+ShopManager.prototype.restockShops = function() {
+    var now = TimeManager.getGameMinutes();
+    var eventBus = EventBus.getInstance();
+
+    for (var npcId in this.shops) {
+        var restocked = [];
+
+        for (var itemId in this.shops[npcId]) {
+            var entry = this.shops[npcId][itemId];
+            var elapsed = now - entry.lastRestock;
+            if (!entry.restockTime || elapsed < entry.restockTime) continue;
+
+            // Stay on schedule even if several restocks were skipped at once
+            entry.lastRestock = now - (elapsed % entry.restockTime);
+            if (entry.stock < entry.maxStock) {
+                entry.stock = entry.maxStock;
+                restocked.push(itemId);
+            }
+        }
+
+        if (restocked.length > 0 && eventBus) {
+            eventBus.fire('shop:restocked', npcId, restocked);
+        }
+    }
+};
+
+ShopManager.prototype.getSaveData = function() {
+    var shops = {};
+    for (var npcId in this.shops) {
+        shops[npcId] = {};
+        for (var itemId in this.shops[npcId]) {
+            var entry = this.shops[npcId][itemId];
+            shops[npcId][itemId] = { stock: entry.stock, lastRestock: entry.lastRestock };
+        }
+    }
+    return { shops: shops };
+};
+
+ShopManager.prototype.loadSaveData = function(data) {
+    this.shops = {};
+    this.loadShops();
+
+    var saved = data.shops || {};
+    for (var npcId in saved) {
+        for (var itemId in saved[npcId]) {
+            var entry = this.shops[npcId] && this.shops[npcId][itemId];
+            if (!entry) continue;
+            entry.stock = Math.min(saved[npcId][itemId].stock, entry.maxStock);
+            entry.lastRestock = saved[npcId][itemId].lastRestock;
+        }
+    }
+};
+
+ShopManager.prototype.reset = function() {
+    this.loadSaveData({});
+};
+
+
+// ----------------------------------------------------------------------------
+// ACHIEVEMENT MANAGER
+// Goals from achievements.json, checked as the events they depend on fire
+// ----------------------------------------------------------------------------
+var AchievementManager = pc.createScript('achievementManager');
+
+AchievementManager.getInstance = function() {
+    return AchievementManager._instance;
+};
+
+// One entry per condition.type in achievements.json. events(condition) lists
+// the events to re-check on, progress() returns { current, target } and the
+// optional record() runs first for each of those events
+AchievementManager.conditions = {
+    // Counts events whose payload has every field in condition.match
+    event: {
+        events: function(condition) {
+            return [condition.event];
+        },
+        record: function(condition, achievement, manager, eventName, args) {
+            if (!manager.matches(condition.match, eventName, args)) return;
+
+            var id = achievement.achievementID;
+            manager.counters[id] = (manager.counters[id] || 0) + 1;
+        },
+        progress: function(condition, achievement, manager) {
+            return { current: manager.counters[achievement.achievementID] || 0, target: condition.target || 1 };
+        }
+    },
+
+    // Without a target, every quest of condition.questType (or every quest)
+    questsCompleted: {
+        events: function() {
+            return ['quest:completed'];
+        },
+        progress: function(condition) {
+            var questManager = QuestManager.getInstance();
+            var definitions = questManager ? questManager.questDefinitions : {};
+            var questIds = Object.keys(definitions).filter(function(questId) {
+                return !condition.questType || definitions[questId].questType === condition.questType;
+            });
+            var completed = questIds.filter(function(questId) {
+                return questManager.isQuestCompleted(questId);
+            });
+            return { current: completed.length, target: condition.target || Math.max(questIds.length, 1) };
+        }
+    },
+
+    spellsKnown: {
+        events: function() {
+            return ['magic:spellLearned'];
+        },
+        progress: function(condition) {
+            var magicManager = MagicManager.getInstance();
+            return { current: magicManager ? magicManager.knownSpells.length : 0, target: condition.target };
+        }
+    },
+
+    // Currency held at once, not earned in total
+    currency: {
+        events: function() {
+            return ['inventory:changed'];
+        },
+        progress: function(condition) {
+            var inventory = InventoryManager.getInstance();
+            return { current: inventory ? inventory.currency[condition.currency] || 0 : 0, target: condition.target };
+        }
+    }
+};
+
+AchievementManager.prototype.initialize = function() {
+    AchievementManager._instance = this;
+
+    this.achievements = []; // Records from achievements.json, in file order
+    this.definitions = {}; // achievementID -> record
+    this.watchers = {}; // Event name -> achievements to re-check
+    this.unlocked = {}; // achievementID -> real time it unlocked
+    this.counters = {}; // achievementID -> events counted so far
+
+    console.log('[AchievementManager] Initialized');
+
+    // After every section its progress is read from
+    SaveSystem.registerParticipant('AchievementManager', this, { order: 60 });
+
+    this.loadAchievements();
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        // Data usually arrives after initialize, so load again once it has
+        eventBus.on('data:loaded', this.loadAchievements, this);
+        eventBus.on('*', this.onGameEvent, this);
+    }
+};
+
+// achievements.json is optional; without it there is nothing to earn
+AchievementManager.prototype.loadAchievements = function() {
+    var gameManager = GameManager.getInstance();
+    if (!gameManager) return;
+
+    this.achievements = (gameManager.achievementsData || []).filter(function(achievement) {
+        var condition = achievement.condition;
+        if (!condition || !AchievementManager.conditions[condition.type]) {
+            console.warn('[AchievementManager] Unknown condition for ' + achievement.achievementID);
+            return false;
+        }
+        return true;
+    });
+
+    this.definitions = {};
+    this.watchers = {};
+    this.achievements.forEach(function(achievement) {
+        this.definitions[achievement.achievementID] = achievement;
+
+        var condition = achievement.condition;
+        AchievementManager.conditions[condition.type].events(condition).forEach(function(eventName) {
+            (this.watchers[eventName] = this.watchers[eventName] || []).push(achievement);
+        }.bind(this));
+    }.bind(this));
+
+    console.log('[AchievementManager] Loaded ' + this.achievements.length + ' achievements');
+};
+
+AchievementManager.prototype.onGameEvent = function(eventName) {
+    var watching = this.watchers[eventName];
+    if (!watching) return;
+
+    // Mid-load events aren't progress; loadSaveData() checks everything after
+    var saveSystem = SaveSystem.getInstance();
+    if (saveSystem && saveSystem.applyingSave) return;
+
+    var args = Array.prototype.slice.call(arguments, 1);
+    watching.forEach(function(achievement) {
+        if (this.isUnlocked(achievement.achievementID)) return;
+
+        var condition = achievement.condition;
+        var type = AchievementManager.conditions[condition.type];
+        if (type.record) {
+            type.record(condition, achievement, this, eventName, args);
+        }
+        this.evaluate(achievement);
+    }.bind(this));
+};
+
+// Payload fields by catalog argument name; object arguments add their own
+// fields, so { plantId } matches farming:harvested's result object
+AchievementManager.prototype.matches = function(match, eventName, args) {
+    if (!match) return true;
+
+    var entry = EventBus.catalog[eventName];
+    var payload = {};
+    (entry ? entry.args : []).forEach(function(spec, index) {
+        var value = args[index];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(payload, value);
+        }
+        payload[EventBus.parseParam(spec).name] = value;
+    });
+
+    return Object.keys(match).every(function(key) {
+        return payload[key] === match[key];
+    });
+};
+
+// Unlocks achievement if its condition is met; returns true when it did
+AchievementManager.prototype.evaluate = function(achievement) {
+    if (this.isUnlocked(achievement.achievementID)) return false;
+
+    var progress = this.getProgress(achievement.achievementID);
+    if (!progress || progress.current < progress.target) return false;
+
+    this.unlock(achievement.achievementID);
+    return true;
+};
+
+AchievementManager.prototype.evaluateAll = function() {
+    this.achievements.forEach(this.evaluate, this);
+};
+
+AchievementManager.prototype.unlock = function(achievementId) {
+    var achievement = this.definitions[achievementId];
+    if (!achievement || this.isUnlocked(achievementId)) return false;
+
+    this.unlocked[achievementId] = Date.now();
+
+    console.log('[AchievementManager] Unlocked: ' + achievementId);
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('achievement:unlocked', this.describe(achievement));
+    }
+    return true;
+};
+
+AchievementManager.prototype.isUnlocked = function(achievementId) {
+    return this.unlocked.hasOwnProperty(achievementId);
+};
+
+// { current, target }, with current never past target; null for unknown ids
+AchievementManager.prototype.getProgress = function(achievementId) {
+    var achievement = this.definitions[achievementId];
+    if (!achievement) return null;
+
+    var condition = achievement.condition;
+    var progress = AchievementManager.conditions[condition.type].progress(condition, achievement, this);
+    if (this.isUnlocked(achievementId)) progress.current = progress.target;
+
+    return { current: Math.min(progress.current, progress.target), target: progress.target };
+};
+
+// The record plus unlocked, unlockedAt and progress
+AchievementManager.prototype.describe = function(achievement) {
+    var id = achievement.achievementID;
+    return Object.assign({}, achievement, {
+        unlocked: this.isUnlocked(id),
+        unlockedAt: this.isUnlocked(id) ? this.unlocked[id] : null,
+        progress: this.getProgress(id)
+    });
+};
+
+AchievementManager.prototype.getAchievements = function() {
+    return this.achievements.map(this.describe, this);
+};
+
+AchievementManager.prototype.getPoints = function() {
+    return this.achievements.reduce(function(total, achievement) {
+        return total + (this.isUnlocked(achievement.achievementID) ? achievement.points || 0 : 0);
+    }.bind(this), 0);
+};
+
+// Unlocks and counts for achievements no longer in the data are kept, so
+// they come back if the achievement does
+AchievementManager.prototype.getSaveData = function() {
+    return {
+        unlocked: this.unlocked,
+        counters: this.counters
+    };
+};
+
+// Progress that already meets a condition (a save from before
+// achievements, a newly added one) unlocks straight away
+AchievementManager.prototype.loadSaveData = function(data) {
+    this.unlocked = Object.assign({}, data.unlocked);
+    this.counters = Object.assign({}, data.counters);
+
+    this.evaluateAll();
+};
+
+AchievementManager.prototype.reset = function() {
+    this.loadSaveData({});
 };
 
 
@@ -811,4 +1650,6 @@ console.log('- FarmingManager');
 console.log('- QuestManager');
 console.log('- DialogueManager');
 console.log('- MagicManager');
+console.log('- ShopManager');
+console.log('- AchievementManager');
 console.log('===========================================');
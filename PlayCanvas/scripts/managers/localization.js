@@ -0,0 +1,301 @@
+// ============================================================================
+// PlayCanvas Localization
+// Loads the locale string tables and formats text for the current language
+// ============================================================================
+
+// String tables live in data/locales/<code>.json, listed by
+// data/locales/index.json. Keys and plural rules are described in
+// string-tables.js. Lookups fall back to the default locale for UI text
+// and to the data files for content, so a partial translation still plays.
+
+// ----------------------------------------------------------------------------
+// LOCALIZATION MANAGER
+// ----------------------------------------------------------------------------
+var LocalizationManager = pc.createScript('localizationManager');
+
+LocalizationManager.getInstance = function() {
+    return LocalizationManager._instance;
+};
+
+// Remembers the player's language between sessions
+LocalizationManager.STORAGE_KEY = 'cozy_game_locale';
+
+LocalizationManager.attributes.add('defaultLocale', {
+    type: 'string',
+    default: 'en',
+    description: 'Locale whose table defines every UI key; content falls back to data/*.json'
+});
+
+LocalizationManager.attributes.add('localeIndexUrl', {
+    type: 'string',
+    default: 'data/locales/index.json',
+    description: 'Lists the available locales; tables sit next to it as <code>.json'
+});
+
+EventBus.declareEvent('locale:changed', ['locale:string', 'previousLocale:string'], 'Language switched - re-render text');
+
+LocalizationManager.prototype.initialize = function() {
+    LocalizationManager._instance = this;
+
+    this.locale = this.defaultLocale;
+    this.locales = [{ code: this.defaultLocale, name: this.defaultLocale }];
+    this.tables = {}; // Locale code -> loaded table
+    this.reportedMissing = {}; // Keys already warned about, per locale
+    this.numberFormats = {}; // Cached Intl.NumberFormat by options
+
+    console.log('[LocalizationManager] Initialized');
+
+    this.loadLocales();
+};
+
+// The index and default table load side by side so UI text is ready early
+LocalizationManager.prototype.loadLocales = function() {
+    var self = this;
+    var pending = 2;
+
+    var settled = function() {
+        if (--pending > 0) return;
+        self.setLocale(self.getPreferredLocale());
+    };
+
+    this.app.assets.loadFromUrl(this.localeIndexUrl, 'json', function(err, asset) {
+        if (err) {
+            console.warn('[LocalizationManager] No locale index, only ' + self.defaultLocale + ' is available:', err);
+        } else if (asset.resource && Array.isArray(asset.resource.locales)) {
+            self.locales = asset.resource.locales;
+        }
+        settled();
+    });
+
+    this.loadTable(this.defaultLocale, settled);
+};
+
+LocalizationManager.prototype.getTableUrl = function(code) {
+    var index = this.localeIndexUrl;
+    return index.slice(0, index.lastIndexOf('/') + 1) + code + '.json';
+};
+
+// callback(err, table); tables are loaded once and kept
+LocalizationManager.prototype.loadTable = function(code, callback) {
+    if (this.tables[code]) {
+        callback(null, this.tables[code]);
+        return;
+    }
+
+    this.app.assets.loadFromUrl(this.getTableUrl(code), 'json', function(err, asset) {
+        if (err) {
+            console.warn('[LocalizationManager] Failed to load locale ' + code + ':', err);
+            callback(err);
+            return;
+        }
+
+        var table = asset.resource || {};
+        table.strings = table.strings || {};
+        this.tables[code] = table;
+        callback(null, table);
+    }.bind(this));
+};
+
+// Saved choice, then the browser language, then the default
+LocalizationManager.prototype.getPreferredLocale = function() {
+    var candidates = [];
+
+    try {
+        if (typeof localStorage !== 'undefined') {
+            candidates.push(localStorage.getItem(LocalizationManager.STORAGE_KEY));
+        }
+    } catch (e) {
+        // Storage can be blocked (private browsing); fall through
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.language) {
+        candidates.push(navigator.language, navigator.language.split('-')[0]);
+    }
+
+    for (var i = 0; i < candidates.length; i++) {
+        if (candidates[i] && this.hasLocale(candidates[i])) return candidates[i];
+    }
+    return this.defaultLocale;
+};
+
+LocalizationManager.prototype.hasLocale = function(code) {
+    return this.locales.some(function(locale) {
+        return locale.code === code;
+    });
+};
+
+LocalizationManager.prototype.getLocales = function() {
+    return this.locales;
+};
+
+LocalizationManager.prototype.getLocale = function() {
+    return this.locale;
+};
+
+// Switches language once its table has loaded; callback(success)
+LocalizationManager.prototype.setLocale = function(code, callback) {
+    callback = callback || function() {};
+
+    if (!this.hasLocale(code)) {
+        console.warn('[LocalizationManager] Unknown locale: ' + code);
+        callback(false);
+        return;
+    }
+
+    this.loadTable(code, function(err) {
+        if (err) {
+            callback(false);
+            return;
+        }
+
+        var previous = this.locale;
+        this.locale = code;
+        this.numberFormats = {};
+        this.savePreference(code);
+
+        console.log('[LocalizationManager] Language: ' + code);
+
+        var eventBus = EventBus.getInstance();
+        if (eventBus) {
+            eventBus.fire('locale:changed', code, previous);
+        }
+        callback(true);
+    }.bind(this));
+};
+
+LocalizationManager.prototype.savePreference = function(code) {
+    try {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(LocalizationManager.STORAGE_KEY, code);
+        }
+    } catch (e) {
+        // Not remembering the language is fine
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Lookups
+// ----------------------------------------------------------------------------
+
+LocalizationManager.prototype.lookup = function(code, key) {
+    var table = this.tables[code];
+    return table ? table.strings[key] : undefined;
+};
+
+// UI text: t('ui.slots.named', { slot: 2, name: 'Robyn' }). A count param
+// picks the plural form and is formatted for the locale. Unknown keys come
+// back as the key itself so they stand out
+LocalizationManager.prototype.t = function(key, params) {
+    var entry = this.lookup(this.locale, key);
+    if (entry === undefined) {
+        this.reportMissing(key);
+        entry = this.lookup(this.defaultLocale, key);
+    }
+    if (entry === undefined) return key;
+
+    return this.resolve(entry, params);
+};
+
+// Content text by id, e.g. ('items', 'apple', 'name', itemDef.name).
+// fallback is the data's own text, which is the default locale's
+LocalizationManager.prototype.contentText = function(kind, id, field, fallback, params) {
+    var entry = this.locale === this.defaultLocale ? undefined :
+        this.lookup(this.locale, StringTables.contentKey(kind, id, field));
+    if (entry === undefined) entry = fallback;
+    if (entry === undefined || entry === null) return '';
+
+    return this.resolve(entry, params);
+};
+
+LocalizationManager.prototype.dialogueText = function(npcId, treeName, nodeId, field, fallback) {
+    return this.contentText('npcs', npcId, StringTables.dialogueField(treeName, nodeId, field), fallback);
+};
+
+LocalizationManager.prototype.resolve = function(entry, params) {
+    if (params && typeof params.count === 'number') {
+        entry = StringTables.selectPlural(entry, params.count, this.locale);
+        params = Object.assign({}, params, { count: this.formatNumber(params.count) });
+    } else if (typeof entry !== 'string') {
+        entry = entry.other;
+    }
+    return StringTables.interpolate(entry, params);
+};
+
+LocalizationManager.prototype.reportMissing = function(key) {
+    if (this.locale === this.defaultLocale) return;
+
+    var reported = this.reportedMissing[this.locale] = this.reportedMissing[this.locale] || {};
+    if (!reported[key]) {
+        reported[key] = true;
+        console.warn('[LocalizationManager] ' + this.locale + ' has no "' + key + '"');
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Formatting
+// ----------------------------------------------------------------------------
+
+LocalizationManager.prototype.formatNumber = function(value, options) {
+    var cacheKey = options ? JSON.stringify(options) : '';
+    if (!this.numberFormats[cacheKey]) {
+        this.numberFormats[cacheKey] = new Intl.NumberFormat(this.locale, options);
+    }
+    return this.numberFormats[cacheKey].format(value);
+};
+
+// value is a timestamp or Date; options as for Intl.DateTimeFormat
+LocalizationManager.prototype.formatDate = function(value, options) {
+    return new Intl.DateTimeFormat(this.locale, options || { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+};
+
+// ----------------------------------------------------------------------------
+// Coverage
+// ----------------------------------------------------------------------------
+
+// Loads every locale and calls back with one StringTables.findMissing()
+// report each. Content keys come from the data currently loaded, packs included
+LocalizationManager.prototype.getMissingTranslations = function(callback) {
+    var self = this;
+    var codes = this.locales.map(function(locale) {
+        return locale.code;
+    });
+    var gameManager = GameManager.getInstance();
+    var contentStrings = StringTables.collectContentStrings(gameManager ? gameManager.getGameData() : {});
+
+    var loadNext = function(index) {
+        if (index < codes.length) {
+            self.loadTable(codes[index], function() {
+                loadNext(index + 1);
+            });
+            return;
+        }
+
+        var defaultTable = self.tables[self.defaultLocale];
+        var uiKeys = Object.keys(defaultTable ? defaultTable.strings : {}).filter(function(key) {
+            return key.indexOf('ui.') === 0;
+        });
+
+        callback(codes.map(function(code) {
+            var report = StringTables.findMissing(self.tables[code], uiKeys, contentStrings, code === self.defaultLocale);
+            report.locale = code;
+            return report;
+        }));
+    };
+    loadNext(0);
+};
+
+// Prints getMissingTranslations() to the console
+LocalizationManager.prototype.logMissingTranslations = function() {
+    this.getMissingTranslations(function(reports) {
+        console.log('[LocalizationManager] ' + StringTables.formatReport(reports));
+    });
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Localization Loaded ===');
+console.log('- LocalizationManager');
+console.log('======================================');
@@ -0,0 +1,176 @@
+// ============================================================================
+// PlayCanvas Random Service
+// Seeded random numbers in named streams, saved with the game
+// ============================================================================
+
+// Gameplay never calls Math.random() directly. Each kind of randomness draws
+// from its own stream, so rolling more loot doesn't change tomorrow's weather:
+//
+//   RandomService.getStream('loot').int(1, 3);
+//   RandomService.getStream('weather').pick(['clear', 'rain']);
+//
+// Every stream starts from the game seed and the stream's name, and its
+// position is saved, so the same seed and the same inputs give the same world.
+
+// ----------------------------------------------------------------------------
+// RANDOM STREAM
+// ----------------------------------------------------------------------------
+
+// mulberry32: small, fast and good enough for gameplay
+var RandomStream = function(name, state) {
+    this.name = name;
+    this.state = state | 0;
+};
+
+// Float in [0, 1), like Math.random()
+RandomStream.prototype.next = function() {
+    var t = this.state = (this.state + 0x6D2B79F5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Float in [min, max)
+RandomStream.prototype.range = function(min, max) {
+    return min + this.next() * (max - min);
+};
+
+// Integer in [min, max], both included
+RandomStream.prototype.int = function(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+};
+
+RandomStream.prototype.chance = function(probability) {
+    return this.next() < probability;
+};
+
+RandomStream.prototype.pick = function(list) {
+    return list.length > 0 ? list[Math.floor(this.next() * list.length)] : undefined;
+};
+
+// ----------------------------------------------------------------------------
+// RANDOM SERVICE
+// ----------------------------------------------------------------------------
+var RandomService = pc.createScript('randomService');
+
+RandomService.getInstance = function() {
+    return RandomService._instance;
+};
+
+RandomService.attributes.add('seed', {
+    type: 'number',
+    default: 0,
+    description: 'Seed for every new game; 0 picks a new one each time'
+});
+
+// Streams the game uses; others are created the first time they're asked for
+RandomService.STREAMS = ['loot', 'weather', 'npc'];
+
+// Unseeded stream for when no RandomService is in the scene (tools, tests)
+RandomService.fallbackStream = {
+    next: Math.random,
+    range: RandomStream.prototype.range,
+    int: RandomStream.prototype.int,
+    chance: RandomStream.prototype.chance,
+    pick: RandomStream.prototype.pick
+};
+
+RandomService.getStream = function(name) {
+    var service = RandomService._instance;
+    return service ? service.getStream(name) : RandomService.fallbackStream;
+};
+
+// Strings seed by their FNV-1a hash, so 'harvest-test' works as a seed
+RandomService.hash = function(text) {
+    var hash = 0x811C9DC5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+RandomService.normalizeSeed = function(seed) {
+    return typeof seed === 'string' ? RandomService.hash(seed) : (Math.floor(Number(seed)) >>> 0);
+};
+
+RandomService.prototype.initialize = function() {
+    RandomService._instance = this;
+
+    this.gameSeed = 0;
+    this.streams = {}; // Name -> RandomStream
+
+    this.setSeed(this.seed || this.createSeed());
+
+    console.log('[RandomService] Initialized - seed ' + this.gameSeed);
+
+    // Before everything else, so other sections may roll while loading
+    SaveSystem.registerParticipant('RandomService', this, { order: 5 });
+};
+
+// The one place real randomness is allowed in
+RandomService.prototype.createSeed = function() {
+    return (Math.floor(Math.random() * 4294967296) ^ Date.now()) >>> 0;
+};
+
+// Restarts every stream from seed (a number or string)
+RandomService.prototype.setSeed = function(seed) {
+    this.gameSeed = RandomService.normalizeSeed(seed);
+    this.streams = {};
+    RandomService.STREAMS.forEach(function(name) {
+        this.getStream(name);
+    }.bind(this));
+};
+
+RandomService.prototype.getSeed = function() {
+    return this.gameSeed;
+};
+
+RandomService.prototype.getStream = function(name) {
+    if (!this.streams[name]) {
+        this.streams[name] = new RandomStream(name, this.gameSeed ^ RandomService.hash(name));
+    }
+    return this.streams[name];
+};
+
+// ----------------------------------------------------------------------------
+// Save/Load
+// ----------------------------------------------------------------------------
+
+RandomService.prototype.getSaveData = function() {
+    var streams = {};
+    for (var name in this.streams) {
+        streams[name] = this.streams[name].state;
+    }
+    return {
+        seed: this.gameSeed,
+        streams: streams
+    };
+};
+
+RandomService.prototype.loadSaveData = function(data) {
+    if (!data) return;
+
+    this.setSeed(data.seed);
+
+    var streams = data.streams || {};
+    for (var name in streams) {
+        this.getStream(name).state = streams[name] | 0;
+    }
+
+    console.log('[RandomService] Loaded seed ' + this.gameSeed);
+};
+
+RandomService.prototype.reset = function() {
+    this.setSeed(this.seed || this.createSeed());
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Random Service Loaded ===');
+console.log('- RandomStream');
+console.log('- RandomService');
+console.log('========================================');
@@ -0,0 +1,235 @@
+// ============================================================================
+// PlayCanvas Save Storage Backends
+// Storage adapters used by SaveSystem (localStorage, IndexedDB, memory)
+// ============================================================================
+
+// Every adapter exposes the same callback-style interface. Callbacks may run
+// synchronously (localStorage, memory) or later (IndexedDB), so callers must
+// not depend on either.
+//
+//   getItem(key, callback(err, value))  - value is null when the key is missing
+//   setItem(key, value, callback(err))
+//   removeItem(key, callback(err))
+
+// ----------------------------------------------------------------------------
+// LOCAL STORAGE ADAPTER
+// Synchronous and size-capped (~5MB), but available everywhere
+// ----------------------------------------------------------------------------
+var LocalStorageAdapter = function() {
+    this.name = 'localStorage';
+};
+
+LocalStorageAdapter.isAvailable = function() {
+    try {
+        var testKey = '__cozy_storage_test__';
+        localStorage.setItem(testKey, testKey);
+        localStorage.removeItem(testKey);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+LocalStorageAdapter.prototype.getItem = function(key, callback) {
+    var value;
+    try {
+        value = localStorage.getItem(key);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+    callback(null, value);
+};
+
+LocalStorageAdapter.prototype.setItem = function(key, value, callback) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        callback(e); // Usually QuotaExceededError
+        return;
+    }
+    callback(null);
+};
+
+LocalStorageAdapter.prototype.removeItem = function(key, callback) {
+    try {
+        localStorage.removeItem(key);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+    callback(null);
+};
+
+
+// ----------------------------------------------------------------------------
+// INDEXEDDB ADAPTER
+// Asynchronous with a much larger quota - use for big farms
+// ----------------------------------------------------------------------------
+var IndexedDBAdapter = function(databaseName, storeName) {
+    this.name = 'indexedDB';
+    this.databaseName = databaseName || 'cozy_game';
+    this.storeName = storeName || 'saves';
+
+    this.db = null;
+    this.openError = null;
+    this.waiting = []; // Requests made before the database finished opening
+
+    this.open();
+};
+
+IndexedDBAdapter.isAvailable = function() {
+    return typeof indexedDB !== 'undefined';
+};
+
+IndexedDBAdapter.prototype.open = function() {
+    var request;
+    try {
+        request = indexedDB.open(this.databaseName, 1);
+    } catch (e) {
+        this.openError = e;
+        return;
+    }
+
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(this.storeName);
+    }.bind(this);
+
+    request.onsuccess = function() {
+        this.db = request.result;
+        this.flushWaiting();
+    }.bind(this);
+
+    request.onerror = function() {
+        this.openError = request.error || new Error('Could not open IndexedDB');
+        console.error('[IndexedDBAdapter] Failed to open database:', this.openError);
+        this.flushWaiting();
+    }.bind(this);
+};
+
+IndexedDBAdapter.prototype.flushWaiting = function() {
+    var waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(function(run) {
+        run();
+    });
+};
+
+// Runs one request in its own transaction and calls back once the
+// transaction has completed, so writes are durable when callback fires
+IndexedDBAdapter.prototype.runRequest = function(mode, createRequest, callback) {
+    if (!this.db && !this.openError) {
+        this.waiting.push(this.runRequest.bind(this, mode, createRequest, callback));
+        return;
+    }
+    if (this.openError) {
+        callback(this.openError);
+        return;
+    }
+
+    try {
+        var transaction = this.db.transaction(this.storeName, mode);
+        var request = createRequest(transaction.objectStore(this.storeName));
+
+        transaction.oncomplete = function() {
+            callback(null, request.result);
+        };
+        transaction.onerror = transaction.onabort = function() {
+            callback(transaction.error || request.error || new Error('IndexedDB transaction failed'));
+        };
+    } catch (e) {
+        callback(e);
+    }
+};
+
+IndexedDBAdapter.prototype.getItem = function(key, callback) {
+    this.runRequest('readonly', function(store) {
+        return store.get(key);
+    }, function(err, value) {
+        callback(err, value === undefined ? null : value);
+    });
+};
+
+IndexedDBAdapter.prototype.setItem = function(key, value, callback) {
+    this.runRequest('readwrite', function(store) {
+        return store.put(value, key);
+    }, function(err) {
+        callback(err || null);
+    });
+};
+
+IndexedDBAdapter.prototype.removeItem = function(key, callback) {
+    this.runRequest('readwrite', function(store) {
+        return store.delete(key);
+    }, function(err) {
+        callback(err || null);
+    });
+};
+
+
+// ----------------------------------------------------------------------------
+// MEMORY ADAPTER
+// Nothing persists past the session - for Node-based tests and as a fallback
+// ----------------------------------------------------------------------------
+var MemoryStorageAdapter = function() {
+    this.name = 'memory';
+    this.items = {};
+};
+
+MemoryStorageAdapter.isAvailable = function() {
+    return true;
+};
+
+MemoryStorageAdapter.prototype.getItem = function(key, callback) {
+    callback(null, this.items.hasOwnProperty(key) ? this.items[key] : null);
+};
+
+MemoryStorageAdapter.prototype.setItem = function(key, value, callback) {
+    this.items[key] = String(value);
+    callback(null);
+};
+
+MemoryStorageAdapter.prototype.removeItem = function(key, callback) {
+    delete this.items[key];
+    callback(null);
+};
+
+
+// ----------------------------------------------------------------------------
+// SAVE STORAGE - Adapter registry
+// ----------------------------------------------------------------------------
+var SaveStorage = {
+    adapters: {
+        localStorage: LocalStorageAdapter,
+        indexedDB: IndexedDBAdapter,
+        memory: MemoryStorageAdapter
+    },
+
+    // Falls back to memory storage when the requested backend is unavailable
+    // (private browsing, Node) so the game still runs, just without persistence
+    create: function(type) {
+        var Adapter = SaveStorage.adapters[type];
+        if (!Adapter) {
+            console.warn('[SaveStorage] Unknown storage backend "' + type + '", using localStorage');
+            Adapter = LocalStorageAdapter;
+        }
+
+        if (!Adapter.isAvailable()) {
+            console.warn('[SaveStorage] ' + type + ' is not available, saves will only last this session');
+            Adapter = MemoryStorageAdapter;
+        }
+
+        return new Adapter();
+    }
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Save Storage Loaded ===');
+console.log('- LocalStorageAdapter');
+console.log('- IndexedDBAdapter');
+console.log('- MemoryStorageAdapter');
+console.log('======================================');
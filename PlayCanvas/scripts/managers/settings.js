@@ -0,0 +1,261 @@
+// ============================================================================
+// PlayCanvas Settings
+// Player preferences for video and audio, kept apart from save slots
+// ============================================================================
+
+// Settings belong to the player on this device, not to a save, so they live
+// under their own localStorage key and survive new games and deleted slots.
+// Changes apply straight away and fire settings:changed; save() makes them
+// stick, revert() goes back to the last saved values:
+//
+//   var settings = SettingsManager.getInstance();
+//   settings.set('masterVolume', 50);
+//   settings.save();
+
+// ----------------------------------------------------------------------------
+// SETTINGS MANAGER
+// ----------------------------------------------------------------------------
+var SettingsManager = pc.createScript('settingsManager');
+
+SettingsManager.getInstance = function() {
+    return SettingsManager._instance;
+};
+
+SettingsManager.STORAGE_KEY = 'cozy_game_settings';
+
+// Every setting with its default; values are checked like data fields
+// (DataValidator in data-schemas.js), and bad stored values fall back
+SettingsManager.FIELDS = {
+    graphicsQuality: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium' },
+    resolution: { type: 'string', enum: ['auto', '1920x1080', '1280x720'], default: 'auto' }, // 'auto' fills the window
+    vsync: { type: 'boolean', default: true },
+    masterVolume: { type: 'integer', min: 0, max: 100, default: 80 },
+    musicVolume: { type: 'integer', min: 0, max: 100, default: 60 },
+    sfxVolume: { type: 'integer', min: 0, max: 100, default: 80 }
+};
+
+// maxPixelRatio caps the device pixel ratio the canvas renders at;
+// shadowResolution 0 turns shadows off
+SettingsManager.QUALITY_PRESETS = {
+    low: { maxPixelRatio: 1, shadowResolution: 0 },
+    medium: { maxPixelRatio: 1.5, shadowResolution: 1024 },
+    high: { maxPixelRatio: 2, shadowResolution: 2048 }
+};
+
+EventBus.declareEvent('settings:changed', ['settings:object', 'changed:array'], 'Settings applied ({ graphicsQuality, resolution, ... }, names of the ones that changed)');
+
+SettingsManager.getDefaults = function() {
+    var defaults = {};
+    for (var key in SettingsManager.FIELDS) {
+        defaults[key] = SettingsManager.FIELDS[key].default;
+    }
+    return defaults;
+};
+
+// Returns an error message, or null when value suits the setting
+SettingsManager.check = function(key, value) {
+    var spec = SettingsManager.FIELDS[key];
+    if (!spec) return 'unknown setting';
+
+    var problem = null;
+    DataValidator.checkValue(value, Object.assign({ required: true }, spec), key, function(severity, field, message) {
+        problem = problem || message;
+    });
+    return problem;
+};
+
+SettingsManager.prototype.initialize = function() {
+    SettingsManager._instance = this;
+
+    this.settings = SettingsManager.getDefaults();
+    this.savedSettings = SettingsManager.getDefaults(); // As last stored
+    this.shadowCasters = {}; // Light entity guid -> castShadows as authored
+
+    this.load();
+
+    console.log('[SettingsManager] Initialized');
+
+    this.apply(Object.keys(this.settings));
+};
+
+// ----------------------------------------------------------------------------
+// Reading and changing
+// ----------------------------------------------------------------------------
+
+SettingsManager.prototype.get = function(key) {
+    return this.settings[key];
+};
+
+SettingsManager.prototype.getAll = function() {
+    return Object.assign({}, this.settings);
+};
+
+// Applies one setting now; returns false for unknown keys and bad values
+SettingsManager.prototype.set = function(key, value) {
+    var problem = SettingsManager.check(key, value);
+    if (problem) {
+        console.warn('[SettingsManager] Ignored ' + key + ': ' + problem);
+        return false;
+    }
+
+    var values = {};
+    values[key] = value;
+    this.update(values);
+    return true;
+};
+
+// Applies every value that differs from the current one, then fires once
+SettingsManager.prototype.update = function(values) {
+    var changed = Object.keys(values).filter(function(key) {
+        return this.settings[key] !== values[key];
+    }.bind(this));
+    if (changed.length === 0) return;
+
+    changed.forEach(function(key) {
+        this.settings[key] = values[key];
+    }.bind(this));
+    this.apply(changed);
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('settings:changed', this.getAll(), changed);
+    }
+};
+
+SettingsManager.prototype.hasUnsavedChanges = function() {
+    return Object.keys(this.settings).some(function(key) {
+        return this.settings[key] !== this.savedSettings[key];
+    }.bind(this));
+};
+
+// Back to the last saved values, e.g. when the panel closes without saving
+SettingsManager.prototype.revert = function() {
+    this.update(this.savedSettings);
+};
+
+// Defaults, applied and saved
+SettingsManager.prototype.resetToDefaults = function() {
+    this.update(SettingsManager.getDefaults());
+    return this.save();
+};
+
+// ----------------------------------------------------------------------------
+// Persistence
+// ----------------------------------------------------------------------------
+
+SettingsManager.prototype.load = function() {
+    var stored = null;
+    try {
+        if (typeof localStorage !== 'undefined') {
+            stored = JSON.parse(localStorage.getItem(SettingsManager.STORAGE_KEY));
+        }
+    } catch (e) {
+        console.warn('[SettingsManager] Stored settings unreadable, using defaults:', e);
+    }
+    if (!stored || typeof stored !== 'object') return;
+
+    for (var key in SettingsManager.FIELDS) {
+        if (stored[key] === undefined) continue;
+
+        var problem = SettingsManager.check(key, stored[key]);
+        if (problem) {
+            console.warn('[SettingsManager] Stored ' + key + ' ignored: ' + problem);
+        } else {
+            this.settings[key] = stored[key];
+        }
+    }
+    this.savedSettings = this.getAll();
+};
+
+// Returns false when storage is unavailable; the settings still apply
+SettingsManager.prototype.save = function() {
+    this.savedSettings = this.getAll();
+    try {
+        if (typeof localStorage === 'undefined') return false;
+        localStorage.setItem(SettingsManager.STORAGE_KEY, JSON.stringify(this.savedSettings));
+    } catch (e) {
+        console.warn('[SettingsManager] Could not store settings:', e);
+        return false;
+    }
+
+    console.log('[SettingsManager] Saved');
+    return true;
+};
+
+// ----------------------------------------------------------------------------
+// Applying
+// ----------------------------------------------------------------------------
+
+SettingsManager.prototype.apply = function(keys) {
+    var has = function(names) {
+        return names.some(function(name) {
+            return keys.indexOf(name) !== -1;
+        });
+    };
+
+    if (has(['graphicsQuality'])) this.applyQuality();
+    if (has(['resolution'])) this.applyResolution();
+    if (has(['masterVolume', 'musicVolume', 'sfxVolume'])) this.applyVolume();
+
+    // Browsers always present in step with the display, so vsync is only
+    // stored; desktop wrappers that can honour it read settings:changed
+};
+
+SettingsManager.prototype.applyQuality = function() {
+    var preset = SettingsManager.QUALITY_PRESETS[this.settings.graphicsQuality];
+    var device = this.app.graphicsDevice;
+    if (device) {
+        var devicePixelRatio = typeof window !== 'undefined' && window.devicePixelRatio || 1;
+        device.maxPixelRatio = Math.min(devicePixelRatio, preset.maxPixelRatio);
+    }
+
+    // Lights that weren't authored to cast shadows never do
+    this.app.root.findComponents('light').forEach(function(light) {
+        var guid = light.entity.getGuid();
+        if (this.shadowCasters[guid] === undefined) {
+            this.shadowCasters[guid] = light.castShadows;
+        }
+        light.castShadows = this.shadowCasters[guid] && preset.shadowResolution > 0;
+        if (preset.shadowResolution > 0) {
+            light.shadowResolution = preset.shadowResolution;
+        }
+    }.bind(this));
+};
+
+SettingsManager.prototype.applyResolution = function() {
+    var resolution = this.settings.resolution;
+    if (resolution === 'auto') {
+        this.app.setCanvasResolution(pc.RESOLUTION_AUTO);
+        return;
+    }
+
+    var size = resolution.split('x');
+    this.app.setCanvasResolution(pc.RESOLUTION_FIXED, Number(size[0]), Number(size[1]));
+};
+
+// Master is the sound system's volume. Sound components play at the music
+// volume on entities tagged 'music' and at the SFX volume otherwise
+SettingsManager.prototype.applyVolume = function() {
+    if (this.app.systems.sound) {
+        this.app.systems.sound.volume = this.settings.masterVolume / 100;
+    }
+
+    this.app.root.findComponents('sound').forEach(function(sound) {
+        sound.volume = this.getVolume(sound.entity.tags.has('music') ? 'music' : 'sfx');
+    }.bind(this));
+};
+
+// 0-1 for 'music' or 'sfx', before the master volume; for sounds created
+// after the settings applied
+SettingsManager.prototype.getVolume = function(category) {
+    return (category === 'music' ? this.settings.musicVolume : this.settings.sfxVolume) / 100;
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas Settings Loaded ===');
+console.log('- SettingsManager');
+console.log('==================================');
@@ -0,0 +1,166 @@
+// ============================================================================
+// PlayCanvas String Tables
+// Keys, plurals and coverage reports for the locale files in data/locales/
+// ============================================================================
+
+// A locale file is { locale, name, strings: { key: text } }. UI keys start
+// with "ui." and are defined by the default locale. Content keys are built
+// from record ids, so translations survive reordering the data:
+//
+//   items.apple.name
+//   quests.side_gather_apples.objectives.0.description
+//   npcs.elder_sage.dialogue.greeting.start.text
+//   npcs.elder_sage.dialogue.greeting.start.choices.1.text
+//
+// The data files themselves hold the default locale's content text. Text may
+// contain {name} placeholders; a text that depends on a count is an object
+// of Intl.PluralRules categories, e.g. { "one": "{count} seed", "other": "{count} seeds" }.
+// Nothing here depends on pc, so tools/translation-report.js uses it too.
+
+// ----------------------------------------------------------------------------
+// STRING TABLES
+// ----------------------------------------------------------------------------
+var StringTables = {
+    // Translatable fields per data file; "list[]" repeats for every entry
+    contentFields: {
+        items: ['name', 'description'],
+        plants: ['name', 'description'],
+        quests: ['questName', 'description', 'objectives[].description'],
+        spells: ['name', 'description'],
+        npcs: ['name', 'description'],
+        achievements: ['name', 'description']
+    },
+
+    contentKey: function(kind, id, field) {
+        return kind + '.' + id + '.' + field;
+    },
+
+    dialogueField: function(treeName, nodeId, field) {
+        return 'dialogue.' + treeName + '.' + nodeId + '.' + field;
+    },
+
+    // Every translatable string in the loaded data as { key: source text }
+    collectContentStrings: function(dataByName) {
+        var strings = {};
+
+        Object.keys(StringTables.contentFields).forEach(function(kind) {
+            var idField = DataSchemas[kind].idField;
+
+            (dataByName[kind] || []).forEach(function(record) {
+                if (!record || typeof record[idField] !== 'string') return;
+
+                var add = function(field, text) {
+                    if (typeof text === 'string' && text !== '') {
+                        strings[StringTables.contentKey(kind, record[idField], field)] = text;
+                    }
+                };
+
+                StringTables.contentFields[kind].forEach(function(field) {
+                    var listIndex = field.indexOf('[].');
+                    if (listIndex === -1) {
+                        add(field, record[field]);
+                        return;
+                    }
+
+                    var listName = field.slice(0, listIndex);
+                    var itemField = field.slice(listIndex + 3);
+                    (record[listName] || []).forEach(function(entry, index) {
+                        add(listName + '.' + index + '.' + itemField, entry && entry[itemField]);
+                    });
+                });
+
+                if (kind === 'npcs') {
+                    StringTables.collectDialogueStrings(record, add);
+                }
+            });
+        });
+
+        return strings;
+    },
+
+    collectDialogueStrings: function(npc, add) {
+        var trees = npc.dialogueTrees || {};
+        Object.keys(trees).forEach(function(treeName) {
+            ((trees[treeName] && trees[treeName].nodes) || []).forEach(function(node) {
+                add(StringTables.dialogueField(treeName, node.nodeID, 'text'), node.text);
+                (node.choices || []).forEach(function(choice, index) {
+                    add(StringTables.dialogueField(treeName, node.nodeID, 'choices.' + index + '.text'), choice.text);
+                });
+            });
+        });
+    },
+
+    // "Hello {name}" + { name: 'Robyn' }; unknown placeholders are left in
+    interpolate: function(text, params) {
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, function(match, name) {
+            return params.hasOwnProperty(name) ? String(params[name]) : match;
+        });
+    },
+
+    // entry is a string or { zero?, one, two?, few?, many?, other }
+    selectPlural: function(entry, count, locale) {
+        if (typeof entry === 'string') return entry;
+
+        // An explicit zero form wins over the language rule
+        if (count === 0 && entry.zero !== undefined) return entry.zero;
+
+        var category = 'other';
+        try {
+            category = new Intl.PluralRules(locale).select(count);
+        } catch (e) {
+            category = count === 1 ? 'one' : 'other';
+        }
+        return entry[category] !== undefined ? entry[category] : entry.other;
+    },
+
+    // What a locale lacks: UI keys the default locale has, and content keys
+    // from the data (the default locale's content is the data itself).
+    // unused lists keys nothing asks for any more, usually renamed content
+    findMissing: function(table, uiKeys, contentStrings, isDefault) {
+        var strings = (table && table.strings) || {};
+        var expected = uiKeys.concat(isDefault ? [] : Object.keys(contentStrings));
+        var expectedSet = {};
+
+        expected.forEach(function(key) {
+            expectedSet[key] = true;
+        });
+
+        return {
+            locale: table ? table.locale : null,
+            total: expected.length,
+            missing: expected.filter(function(key) {
+                return strings[key] === undefined;
+            }),
+            unused: Object.keys(strings).filter(function(key) {
+                return !expectedSet[key] && !(isDefault && contentStrings[key] !== undefined);
+            })
+        };
+    },
+
+    // reports: [findMissing() results]
+    formatReport: function(reports) {
+        var lines = [];
+        reports.forEach(function(report) {
+            var translated = report.total - report.missing.length;
+            lines.push(report.locale + ': ' + translated + '/' + report.total + ' strings translated' +
+                (report.unused.length > 0 ? ', ' + report.unused.length + ' unused' : ''));
+            report.missing.forEach(function(key) {
+                lines.push('  MISSING ' + key);
+            });
+            report.unused.forEach(function(key) {
+                lines.push('  UNUSED ' + key);
+            });
+        });
+        return lines.join('\n');
+    }
+};
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('=== PlayCanvas String Tables Loaded ===');
+console.log('- StringTables');
+console.log('=======================================');
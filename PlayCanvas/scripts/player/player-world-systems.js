@@ -21,6 +21,12 @@ PlayerController.attributes.add('runMultiplier', {
     description: 'Speed multiplier when running'
 });
 
+PlayerController.attributes.add('encumberedMultiplier', {
+    type: 'number',
+    default: 0.5,
+    description: 'Speed multiplier when carrying more than the max weight'
+});
+
 PlayerController.attributes.add('camera', {
     type: 'entity',
     description: 'Camera to follow player'
@@ -30,9 +36,18 @@ PlayerController.prototype.initialize = function() {
     this.moveDir = new pc.Vec3();
     this.isRunning = false;
     this.currentSpeed = this.speed;
+    this.spawnPosition = this.entity.getPosition().clone();
 
     // Stats
-    this.stats = {
+    this.stats = this.getDefaultStats();
+
+    console.log('[PlayerController] Initialized');
+
+    SaveSystem.registerParticipant('PlayerController', this, { order: 50 });
+};
+
+PlayerController.prototype.getDefaultStats = function() {
+    return {
         health: 100,
         maxHealth: 100,
         mana: 100,
@@ -40,13 +55,15 @@ PlayerController.prototype.initialize = function() {
         stamina: 100,
         maxStamina: 100,
         level: 1,
-        experience: 0
+        experience: 0,
+        carryWeight: 100
     };
-
-    console.log('[PlayerController] Initialized');
 };
 
 PlayerController.prototype.update = function(dt) {
+    // Menus, dialogue and pause take the keyboard
+    if (!GameManager.isSystemActive('PlayerController')) return;
+
     this.handleInput();
     this.movePlayer(dt);
     this.updateCamera();
@@ -69,11 +86,24 @@ PlayerController.prototype.handleInput = function() {
         this.moveDir.x += 1;
     }
 
-    // Running with Shift
+    // Running with Shift, unless carrying too much
+    var inventory = InventoryManager.getInstance();
+    if (inventory && inventory.getWeight() > this.getMaxCarryWeight()) {
+        this.isRunning = false;
+        this.currentSpeed = this.speed * this.encumberedMultiplier;
+        return;
+    }
+
     this.isRunning = this.app.keyboard.isPressed(pc.KEY_SHIFT);
     this.currentSpeed = this.isRunning ? this.speed * this.runMultiplier : this.speed;
 };
 
+// carryWeight stat plus carried gear (InventoryManager.getCarryBonus)
+PlayerController.prototype.getMaxCarryWeight = function() {
+    var inventory = InventoryManager.getInstance();
+    return this.stats.carryWeight + (inventory ? inventory.getCarryBonus() : 0);
+};
+
 PlayerController.prototype.movePlayer = function(dt) {
     if (this.moveDir.length() > 0) {
         this.moveDir.normalize();
@@ -155,7 +185,25 @@ PlayerController.prototype.loadSaveData = function(data) {
         this.entity.setPosition(data.position.x, data.position.y, data.position.z);
     }
     if (data.stats) {
-        this.stats = data.stats;
+        // Stats added since the save was made start at their defaults
+        this.stats = Object.assign(this.getDefaultStats(), data.stats);
+    }
+    this.onStatsChanged();
+};
+
+PlayerController.prototype.reset = function() {
+    this.entity.setPosition(this.spawnPosition);
+    this.entity.setEulerAngles(0, 0, 0);
+    this.stats = this.getDefaultStats();
+    this.onStatsChanged();
+};
+
+// The inventory loads before the player, so its encumbrance was worked out
+// against the old carryWeight
+PlayerController.prototype.onStatsChanged = function() {
+    var inventory = InventoryManager.getInstance();
+    if (inventory) {
+        inventory.updateEncumbrance();
     }
 };
 
@@ -170,6 +218,11 @@ TimeManager.getInstance = function() {
     return TimeManager._instance;
 };
 
+TimeManager.MINUTES_PER_HOUR = 60;
+TimeManager.HOURS_PER_DAY = 24;
+TimeManager.MINUTES_PER_DAY = 24 * 60;
+TimeManager.SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
 TimeManager.attributes.add('timeScale', {
     type: 'number',
     default: 60,
@@ -206,21 +259,48 @@ TimeManager.prototype.initialize = function() {
 
     console.log('[TimeManager] Initialized - Day ' + this.currentDay + ', ' + this.getTimeString());
 
+    // Other sections (crops, quests) may read the clock while loading
+    SaveSystem.registerParticipant('TimeManager', this, { order: 10 });
+
     this.updateDayNightCycle();
 };
 
 TimeManager.prototype.update = function(dt) {
-    if (this.isPaused) return;
+    if (this.isPaused || !GameManager.isSystemActive('TimeManager')) return;
+
+    this.advanceMinutes(dt * this.timeScale);
+};
+
+// ----------------------------------------------------------------------------
+// Game clock
+// ----------------------------------------------------------------------------
+
+// Timers elsewhere (crops, cooldowns, restocks) are stored as game minutes
+// since day 1, 00:00, and compared with getTotalMinutes(), so they follow
+// pausing, sleeping and timeScale rather than the wall clock
+TimeManager.toTotalMinutes = function(day, hour, minute) {
+    return ((day - 1) * TimeManager.HOURS_PER_DAY + hour) * TimeManager.MINUTES_PER_HOUR + minute;
+};
+
+// Current game time, or 0 when there is no TimeManager in the scene
+TimeManager.getGameMinutes = function() {
+    var timeManager = TimeManager._instance;
+    return timeManager ? timeManager.getTotalMinutes() : 0;
+};
+
+TimeManager.prototype.getTotalMinutes = function() {
+    return TimeManager.toTotalMinutes(this.currentDay, this.currentHour, this.currentMinute);
+};
 
-    // Advance time
-    var minutesAdvanced = (dt * this.timeScale);
-    this.currentMinute += minutesAdvanced;
+// Moves the clock forward, firing time:hourChanged, dayChanged and
+// seasonChanged for every boundary crossed, then one time:tick
+TimeManager.prototype.advanceMinutes = function(minutes) {
+    if (!(minutes > 0)) return;
 
-    // Handle minute overflow
-    if (this.currentMinute >= 60) {
-        var hours = Math.floor(this.currentMinute / 60);
-        this.currentMinute = this.currentMinute % 60;
-        this.advanceHours(hours);
+    this.currentMinute += minutes;
+    while (this.currentMinute >= TimeManager.MINUTES_PER_HOUR) {
+        this.currentMinute -= TimeManager.MINUTES_PER_HOUR;
+        this.nextHour();
     }
 
     // Update time of day
@@ -228,15 +308,42 @@ TimeManager.prototype.update = function(dt) {
 
     // Update visual cycle
     this.updateDayNightCycle();
+
+    var eventBus = EventBus.getInstance();
+    if (eventBus) {
+        eventBus.fire('time:tick', this.getTotalMinutes(), minutes);
+    }
 };
 
+// Offline progress (SaveSystem.applyOfflineProgress)
+TimeManager.prototype.catchUp = function(minutes) {
+    this.advanceMinutes(minutes);
+};
+
+// Skips ahead, e.g. sleeping through the night
 TimeManager.prototype.advanceHours = function(hours) {
-    this.currentHour += hours;
+    this.advanceMinutes(hours * TimeManager.MINUTES_PER_HOUR);
+};
+
+TimeManager.prototype.advanceDays = function(days) {
+    this.advanceMinutes(days * TimeManager.MINUTES_PER_DAY);
+};
+
+// Moves on to the next hour:minute, tomorrow if it has already passed today
+TimeManager.prototype.advanceToTime = function(hour, minute) {
+    var now = this.currentHour * TimeManager.MINUTES_PER_HOUR + this.currentMinute;
+    var target = hour * TimeManager.MINUTES_PER_HOUR + (minute || 0);
+    var minutes = target - now;
+    if (minutes <= 0) minutes += TimeManager.MINUTES_PER_DAY;
 
-    if (this.currentHour >= 24) {
-        var days = Math.floor(this.currentHour / 24);
-        this.currentHour = this.currentHour % 24;
-        this.advanceDays(days);
+    this.advanceMinutes(minutes);
+};
+
+TimeManager.prototype.nextHour = function() {
+    this.currentHour++;
+    if (this.currentHour >= TimeManager.HOURS_PER_DAY) {
+        this.currentHour = 0;
+        this.nextDay();
     }
 
     var eventBus = EventBus.getInstance();
@@ -245,9 +352,9 @@ TimeManager.prototype.advanceHours = function(hours) {
     }
 };
 
-TimeManager.prototype.advanceDays = function(days) {
-    this.currentDay += days;
-    this.dayOfSeason += days;
+TimeManager.prototype.nextDay = function() {
+    this.currentDay++;
+    this.dayOfSeason++;
 
     if (this.dayOfSeason > this.daysPerSeason) {
         this.dayOfSeason = 1;
@@ -263,9 +370,19 @@ TimeManager.prototype.advanceDays = function(days) {
 };
 
 TimeManager.prototype.advanceSeason = function() {
-    var seasons = ['spring', 'summer', 'autumn', 'winter'];
+    var seasons = TimeManager.SEASONS;
     var currentIndex = seasons.indexOf(this.currentSeason);
-    this.currentSeason = seasons[(currentIndex + 1) % seasons.length];
+    this.setSeason(seasons[(currentIndex + 1) % seasons.length]);
+};
+
+// Jumps straight to a season without moving the clock
+TimeManager.prototype.setSeason = function(season) {
+    if (TimeManager.SEASONS.indexOf(season) === -1) {
+        console.error('[TimeManager] Invalid season:', season);
+        return false;
+    }
+
+    this.currentSeason = season;
 
     var eventBus = EventBus.getInstance();
     if (eventBus) {
@@ -273,6 +390,7 @@ TimeManager.prototype.advanceSeason = function() {
     }
 
     console.log('[TimeManager] New season: ' + this.currentSeason);
+    return true;
 };
 
 TimeManager.prototype.updateDayNightCycle = function() {
@@ -332,8 +450,9 @@ TimeManager.prototype.getSaveData = function() {
 
 TimeManager.prototype.loadSaveData = function(data) {
     this.currentDay = data.currentDay || 1;
-    this.currentHour = data.currentHour || 6;
-    this.currentMinute = data.currentMinute || 0;
+    // Hour 0 is midnight, not a missing value
+    this.currentHour = data.currentHour !== undefined ? data.currentHour : this.startHour;
+    this.currentMinute = data.currentMinute !== undefined ? data.currentMinute : 0;
     this.currentSeason = data.currentSeason || 'spring';
     this.dayOfSeason = data.dayOfSeason || 1;
     this.timeOfDay = this.currentHour + (this.currentMinute / 60);
@@ -341,6 +460,10 @@ TimeManager.prototype.loadSaveData = function(data) {
     this.updateDayNightCycle();
 };
 
+TimeManager.prototype.reset = function() {
+    this.loadSaveData({ currentHour: this.startHour });
+};
+
 
 // ----------------------------------------------------------------------------
 // WEATHER SYSTEM - Dynamic weather and effects
@@ -375,17 +498,21 @@ WeatherSystem.prototype.initialize = function() {
     this.timeSinceLastChange = 0;
 
     console.log('[WeatherSystem] Initialized');
+
+    SaveSystem.registerParticipant('WeatherSystem', this, { order: 50 });
 };
 
 WeatherSystem.prototype.update = function(dt) {
+    if (!GameManager.isSystemActive('WeatherSystem')) return;
+
     // Handle weather transition
     if (this.transitionProgress < 1) {
         this.transitionProgress += dt / this.transitionDuration;
         if (this.transitionProgress >= 1) {
-            this.transitionProgress = 1;
-            this.currentWeather = this.targetWeather;
+            this.finishTransition();
+        } else {
+            this.applyWeatherEffects();
         }
-        this.applyWeatherEffects();
     }
 
     // Random weather changes
@@ -413,9 +540,15 @@ WeatherSystem.prototype.changeWeather = function(weatherType) {
     }
 };
 
+WeatherSystem.prototype.finishTransition = function() {
+    this.transitionProgress = 1;
+    this.currentWeather = this.targetWeather;
+    this.applyWeatherEffects();
+};
+
 WeatherSystem.prototype.changeToRandomWeather = function() {
     var types = Object.keys(this.weatherTypes);
-    var randomType = types[Math.floor(Math.random() * types.length)];
+    var randomType = RandomService.getStream('weather').pick(types);
     this.changeWeather(randomType);
 };
 
@@ -438,6 +571,22 @@ WeatherSystem.prototype.getCurrentWeather = function() {
     return this.currentWeather;
 };
 
+// Offline progress: the changes update() would have made in that time, with
+// the last transition already finished
+WeatherSystem.prototype.catchUp = function(gameMinutes) {
+    var timeManager = TimeManager.getInstance();
+    var seconds = gameMinutes / (timeManager ? timeManager.timeScale : 60);
+    var elapsed = this.timeSinceLastChange + seconds;
+    var changes = Math.floor(elapsed / this.weatherChangeInterval);
+
+    this.timeSinceLastChange = elapsed % this.weatherChangeInterval;
+    for (var i = 0; i < changes; i++) {
+        this.changeToRandomWeather();
+    }
+
+    this.finishTransition();
+};
+
 WeatherSystem.prototype.getSaveData = function() {
     return {
         currentWeather: this.currentWeather
@@ -453,6 +602,11 @@ WeatherSystem.prototype.loadSaveData = function(data) {
     }
 };
 
+WeatherSystem.prototype.reset = function() {
+    this.loadSaveData({ currentWeather: 'clear' });
+    this.timeSinceLastChange = 0;
+};
+
 
 // ============================================================================
 // VALIDATION
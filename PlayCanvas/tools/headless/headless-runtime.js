@@ -0,0 +1,339 @@
+// ============================================================================
+// PlayCanvas Headless Runtime
+// Boots the game scripts under Node for scripted scenario tests
+// ============================================================================
+
+// Usage:
+//
+//   var HeadlessGame = require('./tools/headless/headless-runtime');
+//   var game = HeadlessGame.create();
+//
+//   game.newGame(0, 'Tester');
+//   game.managers.InventoryManager.addCurrency('gold', 50);
+//   game.advanceGameDays(3);
+//   game.managers.TimeManager.currentDay; // 4
+//
+// Scripts run in their own vm context with a stubbed pc (pc-stub.js), a
+// simulated clock (Date.now, setTimeout) that only moves when the harness
+// advances it, and in-memory save storage.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var createPcStub = require('./pc-stub').createPcStub;
+var Entity = require('./pc-stub').Entity;
+
+var PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+// Load order matches the order scripts are listed in the editor
+var DEFAULT_SCRIPTS = [
+    'scripts/managers/data-schemas.js',
+    'scripts/managers/content-linter.js',
+    'scripts/managers/content-packs.js',
+    'scripts/managers/string-tables.js',
+    'scripts/managers/save-storage.js',
+    'scripts/managers/event-recorder.js',
+    'scripts/managers/core-managers.js',
+    'scripts/managers/localization.js',
+    'scripts/managers/random-service.js',
+    'scripts/managers/analytics.js',
+    'scripts/managers/settings.js',
+    'scripts/managers/game-systems.js',
+    'scripts/player/player-world-systems.js',
+    'scripts/managers/dev-console.js'
+];
+
+// Scene entity each script type is attached to, where it isn't its own name
+var ENTITY_NAMES = {
+    playerController: 'Player'
+};
+
+// Attribute values a browser scene would set in the editor
+var DEFAULT_ATTRIBUTES = {
+    saveSystem: { storageBackend: 'memory' }
+};
+
+// ----------------------------------------------------------------------------
+// SIMULATED CLOCK
+// ----------------------------------------------------------------------------
+var SimulatedClock = function(startTime) {
+    this.now = startTime;
+    this.timers = [];
+    this.nextTimerId = 1;
+};
+
+SimulatedClock.prototype.setTimeout = function(callback, delay) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    var id = this.nextTimerId++;
+    this.timers.push({ id: id, due: this.now + (delay || 0), callback: callback, args: args });
+    return id;
+};
+
+SimulatedClock.prototype.clearTimeout = function(id) {
+    this.timers = this.timers.filter(function(timer) {
+        return timer.id !== id;
+    });
+};
+
+// Runs every timer due by now, including ones scheduled by those timers
+SimulatedClock.prototype.runDueTimers = function() {
+    var ran = 0;
+    for (;;) {
+        var due = null;
+        this.timers.forEach(function(timer) {
+            if (timer.due <= this.now && (!due || timer.due < due.due || (timer.due === due.due && timer.id < due.id))) {
+                due = timer;
+            }
+        }.bind(this));
+        if (!due) return ran;
+
+        this.clearTimeout(due.id);
+        due.callback.apply(null, due.args);
+        ran++;
+    }
+};
+
+SimulatedClock.prototype.createDate = function() {
+    var clock = this;
+    var RealDate = Date;
+
+    var SimulatedDate = function() {
+        if (arguments.length === 0) return new RealDate(clock.now);
+        var args = [null].concat(Array.prototype.slice.call(arguments));
+        return new (Function.prototype.bind.apply(RealDate, args))();
+    };
+    SimulatedDate.now = function() {
+        return clock.now;
+    };
+    SimulatedDate.UTC = RealDate.UTC;
+    SimulatedDate.parse = RealDate.parse;
+    SimulatedDate.prototype = RealDate.prototype;
+
+    return SimulatedDate;
+};
+
+// ----------------------------------------------------------------------------
+// HEADLESS GAME
+// ----------------------------------------------------------------------------
+
+// options:
+//   root        - PlayCanvas project directory (default: this repo)
+//   scripts     - script files to load, relative to root
+//   attributes  - { scriptName: { attribute: value } } editor overrides
+//   startTime   - simulated epoch ms (default 2025-01-01T06:00Z)
+//   stepSeconds - frame length used by advance() (default 0.1)
+//   log         - true to keep console.log output from the scripts
+var HeadlessGame = function(options) {
+    options = options || {};
+
+    this.root = options.root || PROJECT_ROOT;
+    this.stepSeconds = options.stepSeconds || 0.1;
+    this.clock = new SimulatedClock(options.startTime || Date.UTC(2025, 0, 1, 6, 0, 0));
+    this.scripts = []; // Script instances in initialize order
+    this.managers = {}; // Global script name -> instance, e.g. managers.FarmingManager
+    this.firedEvents = []; // { time, event, args } for every EventBus event
+
+    this.context = this.createContext(options.log);
+    this.pc = this.context.pc;
+
+    this.loadScripts(options.scripts || DEFAULT_SCRIPTS);
+    this.instantiateScripts(options.attributes || {});
+};
+
+HeadlessGame.create = function(options) {
+    var game = new HeadlessGame(options);
+    game.boot();
+    return game;
+};
+
+HeadlessGame.prototype.createContext = function(keepLogs) {
+    var self = this;
+    var quietConsole = {
+        log: keepLogs ? console.log.bind(console) : function() {},
+        info: keepLogs ? console.info.bind(console) : function() {},
+        table: keepLogs ? console.table.bind(console) : function() {},
+        warn: console.warn.bind(console),
+        error: console.error.bind(console)
+    };
+
+    var context = {
+        console: quietConsole,
+        Date: this.clock.createDate(),
+        setTimeout: this.clock.setTimeout.bind(this.clock),
+        clearTimeout: this.clock.clearTimeout.bind(this.clock),
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        btoa: function(text) {
+            return Buffer.from(text, 'binary').toString('base64');
+        },
+        atob: function(text) {
+            return Buffer.from(text, 'base64').toString('binary');
+        }
+    };
+    context.window = context;
+
+    context.pc = createPcStub(function(url) {
+        return fs.readFileSync(path.join(self.root, url), 'utf8');
+    }, function(callback) {
+        self.clock.setTimeout(callback, 0);
+    });
+
+    return vm.createContext(context);
+};
+
+HeadlessGame.prototype.loadScripts = function(files) {
+    files.forEach(function(file) {
+        var source = fs.readFileSync(path.join(this.root, file), 'utf8');
+        vm.runInContext(source, this.context, { filename: file });
+    }.bind(this));
+};
+
+HeadlessGame.prototype.instantiateScripts = function(attributeOverrides) {
+    var pc = this.pc;
+
+    pc._scriptTypes.forEach(function(ScriptType) {
+        var scriptName = ScriptType.scriptName;
+        var globalName = scriptName.charAt(0).toUpperCase() + scriptName.slice(1);
+
+        var entity = new Entity(ENTITY_NAMES[scriptName] || globalName);
+        pc.app.root.addChild(entity);
+
+        var instance = new ScriptType({ entity: entity });
+        var definitions = ScriptType.attributes.definitions;
+        var overrides = Object.assign({}, DEFAULT_ATTRIBUTES[scriptName], attributeOverrides[scriptName]);
+
+        Object.keys(definitions).forEach(function(attributeName) {
+            var definition = definitions[attributeName];
+            instance[attributeName] = definition.default !== undefined ? definition.default : null;
+        });
+        Object.keys(overrides).forEach(function(attributeName) {
+            instance[attributeName] = overrides[attributeName];
+        });
+
+        entity.script[scriptName] = instance;
+        this.scripts.push(instance);
+        this.managers[globalName] = instance;
+    }.bind(this));
+};
+
+// Initializes every script, then lets the data files "arrive"
+HeadlessGame.prototype.boot = function() {
+    this.scripts.forEach(function(script) {
+        if (script.initialize) script.initialize();
+    });
+    this.scripts.forEach(function(script) {
+        if (script.postInitialize) script.postInitialize();
+    });
+
+    var eventBus = this.managers.EventBus;
+    if (eventBus) {
+        eventBus.on('*', function(eventName) {
+            this.firedEvents.push({
+                time: this.clock.now,
+                event: eventName,
+                args: Array.prototype.slice.call(arguments, 1)
+            });
+        }, this);
+    }
+
+    this.clock.runDueTimers();
+};
+
+// ----------------------------------------------------------------------------
+// Advancing time
+// ----------------------------------------------------------------------------
+
+// One frame: every enabled script's update(dt), then timers due by then
+HeadlessGame.prototype.step = function(dt) {
+    this.clock.now += dt * 1000;
+
+    this.scripts.forEach(function(script) {
+        if (script.enabled && script.update) script.update(dt);
+    });
+
+    this.clock.runDueTimers();
+};
+
+// Advances real (wall-clock) seconds in whole stepSeconds frames, plus one
+// shorter frame for any remainder. Counting frames rather than subtracting
+// each dt keeps float error from piling up, so a game day is a game day
+HeadlessGame.prototype.advance = function(seconds) {
+    var frames = Math.floor(seconds / this.stepSeconds + 1e-9);
+    for (var i = 0; i < frames; i++) {
+        this.step(this.stepSeconds);
+    }
+
+    var remainder = seconds - frames * this.stepSeconds;
+    if (remainder > 1e-9) {
+        this.step(remainder);
+    }
+};
+
+// Converts game time to real seconds through TimeManager.timeScale
+// (game minutes per real second)
+HeadlessGame.prototype.advanceGameMinutes = function(minutes) {
+    var timeManager = this.managers.TimeManager;
+    if (!timeManager) {
+        throw new Error('advanceGameMinutes needs TimeManager');
+    }
+    this.advance(minutes / timeManager.timeScale);
+};
+
+HeadlessGame.prototype.advanceGameHours = function(hours) {
+    this.advanceGameMinutes(hours * 60);
+};
+
+HeadlessGame.prototype.advanceGameDays = function(days) {
+    this.advanceGameMinutes(days * 24 * 60);
+};
+
+// ----------------------------------------------------------------------------
+// Scenario helpers
+// ----------------------------------------------------------------------------
+
+HeadlessGame.prototype.newGame = function(slot, playerName) {
+    this.managers.GameManager.newGame(slot || 0, playerName || 'Tester');
+    this.clock.runDueTimers();
+};
+
+// Saves and loads are async through the storage adapter; the memory adapter
+// calls back synchronously so these return the result directly
+HeadlessGame.prototype.save = function(slot) {
+    var result = null;
+    this.managers.SaveSystem.saveGame(slot, function(success) {
+        result = success;
+    });
+    this.clock.runDueTimers();
+    return result;
+};
+
+HeadlessGame.prototype.load = function(slot) {
+    var result = null;
+    this.managers.SaveSystem.loadGame(slot, function(saveData) {
+        result = saveData;
+    });
+    this.clock.runDueTimers();
+    return result;
+};
+
+HeadlessGame.prototype.pressKey = function(key) {
+    this.pc._pressedKeys[this.pc[key] || key] = true;
+};
+
+HeadlessGame.prototype.releaseKey = function(key) {
+    delete this.pc._pressedKeys[this.pc[key] || key];
+};
+
+// Events named eventName fired since boot (or the last clearEvents)
+HeadlessGame.prototype.eventsNamed = function(eventName) {
+    return this.firedEvents.filter(function(entry) {
+        return entry.event === eventName;
+    });
+};
+
+HeadlessGame.prototype.clearEvents = function() {
+    this.firedEvents = [];
+};
+
+module.exports = HeadlessGame;
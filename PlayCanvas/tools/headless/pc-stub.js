@@ -0,0 +1,320 @@
+// ============================================================================
+// PlayCanvas Engine Stub
+// The small slice of the pc API the game scripts use, without WebGL or a DOM
+// ============================================================================
+
+// Scripts only position entities, attach placeholder components and read the
+// keyboard, so entities here are plain transform holders and components are
+// stored as given. Anything rendering-related is deliberately left out; the
+// graphics device and canvas only keep the values settings.js gives them.
+
+// ----------------------------------------------------------------------------
+// VEC3
+// ----------------------------------------------------------------------------
+var Vec3 = function(x, y, z) {
+    this.x = x || 0;
+    this.y = y || 0;
+    this.z = z || 0;
+};
+
+Vec3.prototype.set = function(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+};
+
+Vec3.prototype.copy = function(other) {
+    return this.set(other.x, other.y, other.z);
+};
+
+Vec3.prototype.clone = function() {
+    return new Vec3(this.x, this.y, this.z);
+};
+
+Vec3.prototype.add = function(other) {
+    return this.set(this.x + other.x, this.y + other.y, this.z + other.z);
+};
+
+Vec3.prototype.sub = function(other) {
+    return this.set(this.x - other.x, this.y - other.y, this.z - other.z);
+};
+
+Vec3.prototype.scale = function(scalar) {
+    return this.set(this.x * scalar, this.y * scalar, this.z * scalar);
+};
+
+Vec3.prototype.lengthSq = function() {
+    return this.x * this.x + this.y * this.y + this.z * this.z;
+};
+
+Vec3.prototype.length = function() {
+    return Math.sqrt(this.lengthSq());
+};
+
+Vec3.prototype.normalize = function() {
+    var length = this.length();
+    return length > 0 ? this.scale(1 / length) : this;
+};
+
+// ----------------------------------------------------------------------------
+// TAGS
+// ----------------------------------------------------------------------------
+var Tags = function() {
+    this.list = [];
+};
+
+Tags.prototype.add = function(tag) {
+    if (this.list.indexOf(tag) === -1) this.list.push(tag);
+};
+
+Tags.prototype.remove = function(tag) {
+    var index = this.list.indexOf(tag);
+    if (index !== -1) this.list.splice(index, 1);
+};
+
+Tags.prototype.has = function(tag) {
+    return this.list.indexOf(tag) !== -1;
+};
+
+// ----------------------------------------------------------------------------
+// ENTITY
+// ----------------------------------------------------------------------------
+var nextGuid = 1;
+
+var Entity = function(name) {
+    this.name = name || 'Untitled';
+    this.guid = 'entity-' + nextGuid++;
+    this.parent = null;
+    this.children = [];
+    this.script = {};
+    this.c = {}; // Components by type, as on the engine's Entity
+    this.tags = new Tags();
+    this.enabled = true;
+
+    this.position = new Vec3();
+    this.eulerAngles = new Vec3();
+    this.localScale = new Vec3(1, 1, 1);
+};
+
+Entity.prototype.addComponent = function(type, data) {
+    var component = data || {};
+    component.entity = this;
+    this[type] = component;
+    this.c[type] = component;
+    return component;
+};
+
+Entity.prototype.getGuid = function() {
+    return this.guid;
+};
+
+// Components of one type on this entity and everything under it
+Entity.prototype.findComponents = function(type) {
+    var found = this.c[type] ? [this.c[type]] : [];
+    this.children.forEach(function(child) {
+        found = found.concat(child.findComponents(type));
+    });
+    return found;
+};
+
+Entity.prototype.addChild = function(child) {
+    if (child.parent) child.parent.removeChild(child);
+    child.parent = this;
+    this.children.push(child);
+};
+
+Entity.prototype.removeChild = function(child) {
+    var index = this.children.indexOf(child);
+    if (index !== -1) {
+        this.children.splice(index, 1);
+        child.parent = null;
+    }
+};
+
+Entity.prototype.findByName = function(name) {
+    if (this.name === name) return this;
+    for (var i = 0; i < this.children.length; i++) {
+        var found = this.children[i].findByName(name);
+        if (found) return found;
+    }
+    return null;
+};
+
+Entity.prototype.destroy = function() {
+    if (this.parent) this.parent.removeChild(this);
+};
+
+// Accepts (x, y, z) or a Vec3, like the engine
+Entity.prototype.setPosition = function(x, y, z) {
+    if (typeof x === 'object') this.position.copy(x);
+    else this.position.set(x, y, z);
+};
+
+Entity.prototype.getPosition = function() {
+    return this.position;
+};
+
+Entity.prototype.setEulerAngles = function(x, y, z) {
+    if (typeof x === 'object') this.eulerAngles.copy(x);
+    else this.eulerAngles.set(x, y, z);
+};
+
+Entity.prototype.getEulerAngles = function() {
+    return this.eulerAngles;
+};
+
+Entity.prototype.setLocalScale = function(x, y, z) {
+    if (typeof x === 'object') this.localScale.copy(x);
+    else this.localScale.set(x, y, z);
+};
+
+// ----------------------------------------------------------------------------
+// EVENT HANDLER
+// ----------------------------------------------------------------------------
+var EventHandler = function() {
+    this._callbacks = {};
+};
+
+EventHandler.prototype.on = function(name, callback, scope) {
+    (this._callbacks[name] = this._callbacks[name] || []).push({ callback: callback, scope: scope });
+    return this;
+};
+
+EventHandler.prototype.off = function(name, callback, scope) {
+    if (!callback) {
+        delete this._callbacks[name];
+        return this;
+    }
+    this._callbacks[name] = (this._callbacks[name] || []).filter(function(entry) {
+        return !(entry.callback === callback && (!scope || entry.scope === scope));
+    });
+    return this;
+};
+
+EventHandler.prototype.once = function(name, callback, scope) {
+    var self = this;
+    var wrapper = function() {
+        self.off(name, wrapper);
+        return callback.apply(scope, arguments);
+    };
+    return this.on(name, wrapper);
+};
+
+EventHandler.prototype.fire = function(name) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    (this._callbacks[name] || []).slice().forEach(function(entry) {
+        entry.callback.apply(entry.scope, args);
+    });
+    return this;
+};
+
+// ----------------------------------------------------------------------------
+// PC NAMESPACE
+// readFile(url) returns the text of a project file; scheduleCallback(fn)
+// defers asset callbacks so they arrive after every script initialized,
+// as they would in the browser
+// ----------------------------------------------------------------------------
+var KEYS = ['A', 'D', 'S', 'W', 'UP', 'DOWN', 'LEFT', 'RIGHT', 'SHIFT', 'SPACE', 'ESCAPE', 'ENTER', 'TAB', 'E', 'I', 'Q'];
+
+function createPcStub(readFile, scheduleCallback) {
+    var pressedKeys = {};
+    var scriptTypes = [];
+
+    var app = {
+        root: new Entity('Root'),
+        graphicsDevice: { maxPixelRatio: 1 },
+        systems: {},
+        resolution: { mode: 'AUTO', width: 0, height: 0 }, // Last setCanvasResolution()
+        setCanvasResolution: function(mode, width, height) {
+            app.resolution = { mode: mode, width: width || 0, height: height || 0 };
+        },
+        keyboard: {
+            isPressed: function(key) {
+                return !!pressedKeys[key];
+            }
+        },
+        assets: {
+            loadFromUrl: function(url, type, callback) {
+                scheduleCallback(function() {
+                    var resource;
+                    try {
+                        var text = readFile(url);
+                        resource = type === 'json' ? JSON.parse(text) : text;
+                    } catch (e) {
+                        callback(e.message);
+                        return;
+                    }
+                    callback(null, { name: url, type: type, resource: resource });
+                });
+            }
+        }
+    };
+
+    var pc = {
+        app: app,
+        Vec3: Vec3,
+        Entity: Entity,
+        RESOLUTION_AUTO: 'AUTO',
+        RESOLUTION_FIXED: 'FIXED',
+        EventHandler: EventHandler,
+
+        math: {
+            DEG_TO_RAD: Math.PI / 180,
+            RAD_TO_DEG: 180 / Math.PI,
+            lerp: function(a, b, alpha) {
+                return a + (b - a) * alpha;
+            },
+            clamp: function(value, min, max) {
+                return Math.max(min, Math.min(max, value));
+            }
+        },
+
+        createScript: function(name) {
+            var ScriptType = function(args) {
+                this.app = app;
+                this.entity = args.entity;
+                this.enabled = true;
+                this._events = new EventHandler();
+            };
+
+            ScriptType.scriptName = name;
+            ScriptType.attributes = {
+                definitions: {},
+                add: function(attributeName, definition) {
+                    ScriptType.attributes.definitions[attributeName] = definition;
+                }
+            };
+
+            // Script instances fire 'destroy' like the engine's ScriptType
+            ScriptType.prototype.on = function(eventName, callback, scope) {
+                this._events.on(eventName, callback, scope);
+            };
+            ScriptType.prototype.off = function(eventName, callback, scope) {
+                this._events.off(eventName, callback, scope);
+            };
+            ScriptType.prototype.fire = function() {
+                this._events.fire.apply(this._events, arguments);
+            };
+
+            scriptTypes.push(ScriptType);
+            return ScriptType;
+        },
+
+        // Harness-only helpers, not part of the engine API
+        _scriptTypes: scriptTypes,
+        _pressedKeys: pressedKeys
+    };
+
+    KEYS.forEach(function(key) {
+        pc['KEY_' + key] = 'KEY_' + key;
+    });
+
+    return pc;
+}
+
+module.exports = {
+    createPcStub: createPcStub,
+    Entity: Entity,
+    Vec3: Vec3
+};
@@ -0,0 +1,363 @@
+// ============================================================================
+// Headless Scenario Checks
+// Gameplay checks run against the real scripts through the headless runtime
+// ============================================================================
+
+// Usage:
+//
+//   node tools/headless/scenarios.js [name...]
+//
+// Runs every scenario, or only the named ones, each in a fresh game. Exits
+// with 1 when any fails, so it can gate CI next to tools/lint-content.js.
+
+var assert = require('assert');
+
+var HeadlessGame = require('./headless-runtime');
+
+var scenarios = [];
+
+function scenario(name, run) {
+    scenarios.push({ name: name, run: run });
+}
+
+function createGame() {
+    var game = HeadlessGame.create({
+        attributes: { randomService: { seed: 1234 } }
+    });
+    game.newGame(0, 'Tester');
+    return game;
+}
+
+// ----------------------------------------------------------------------------
+// Scenarios
+// ----------------------------------------------------------------------------
+
+// A quick crop of the scenario's own, ripe in two game days, so the check
+// doesn't wait out the shipped crops' growth times
+function addTestCrop(game) {
+    game.managers.InventoryManager.itemDefinitions.seed_test = {
+        itemID: 'seed_test', name: 'Test Seeds', type: 'seed', rarity: 'common',
+        stackable: true, maxStack: 99, weight: 0, plantID: 'plant_test'
+    };
+    game.managers.FarmingManager.plantDefinitions.plant_test = {
+        plantID: 'plant_test', name: 'Test Crop', growthStages: 3, timePerStage: 960,
+        seasonsToGrow: ['spring', 'summer', 'autumn', 'winter'], requiresWater: true, waterPerDay: 1,
+        harvestYield: { itemID: 'apple', minQuantity: 2, maxQuantity: 2 }, seedItemID: 'seed_test'
+    };
+}
+
+scenario('plant, wait three days, harvest and finish the farming quest', function(game) {
+    var farming = game.managers.FarmingManager;
+    var inventory = game.managers.InventoryManager;
+    var quests = game.managers.QuestManager;
+    var questId = 'side_farming_basics';
+    var gold = inventory.currency.gold;
+
+    addTestCrop(game);
+    assert.ok(quests.startQuest(questId));
+    inventory.addItem('seed_test', 5);
+
+    for (var x = 0; x < 5; x++) {
+        assert.ok(farming.plantSeed('plant_test', x, 0));
+        assert.ok(farming.waterPlant(x, 0));
+    }
+    quests.updateObjective(questId, 0, 5);
+    quests.updateObjective(questId, 1, 5);
+
+    game.advanceGameDays(3);
+    assert.strictEqual(game.eventsNamed('farming:ready').length, 5);
+    for (x = 0; x < 5; x++) {
+        assert.ok(farming.harvestPlant(x, 0));
+    }
+    assert.strictEqual(inventory.getItemCount('apple'), 10);
+
+    quests.updateObjective(questId, 2, 5);
+    assert.ok(quests.isQuestCompleted(questId));
+    assert.strictEqual(inventory.currency.gold, gold + 50);
+});
+
+scenario('dialogue choice reaches its target node', function(game) {
+    var gameManager = game.managers.GameManager;
+    var dialogue = game.managers.DialogueManager;
+    var sage = gameManager.npcsData.find(function(npc) {
+        return npc.npcID === 'elder_sage';
+    });
+
+    dialogue.startDialogue(sage.dialogueTrees.greeting, sage.name, { npcId: 'elder_sage', treeName: 'greeting' });
+    assert.strictEqual(dialogue.currentNode.nodeID, 'start');
+
+    assert.ok(dialogue.selectChoice(0));
+    assert.strictEqual(dialogue.currentNode.nodeID, 'about_library');
+    assert.strictEqual(game.eventsNamed('dialogue:nodeChanged').length, 1);
+});
+
+scenario('quest completion grants its item rewards', function(game) {
+    var quests = game.managers.QuestManager;
+    var inventory = game.managers.InventoryManager;
+
+    assert.ok(quests.startQuest('side_farming_basics'));
+    quests.completeQuest('side_farming_basics');
+    assert.strictEqual(inventory.getItemCount('seed_moonflower'), 10);
+});
+
+scenario('inventory refuses counts that are not whole and positive', function(game) {
+    var inventory = game.managers.InventoryManager;
+    assert.ok(inventory.addItem('health_potion', 5));
+
+    [-3, 0, 1.5, NaN, '2'].forEach(function(quantity) {
+        assert.strictEqual(inventory.addItem('health_potion', quantity), false);
+        assert.strictEqual(inventory.removeItem('health_potion', quantity), false);
+        assert.strictEqual(inventory.splitStack(0, quantity), false);
+        assert.strictEqual(inventory.moveItem(0, 1, quantity), false);
+    });
+    assert.strictEqual(inventory.getItemCount('health_potion'), 5);
+    assert.strictEqual(inventory.items.length, 1);
+
+    // A listener can't sneak a bad count past the check either
+    game.managers.EventBus.on('inventory:beforeAdd', function(event) {
+        event.quantity = -1;
+    });
+    assert.strictEqual(inventory.addItem('health_potion', 1), false);
+    assert.strictEqual(inventory.getItemCount('health_potion'), 5);
+});
+
+// Fills every slot with potions, so any new kind of item is refused for
+// want of room rather than weight
+function fillInventory(game) {
+    var inventory = game.managers.InventoryManager;
+    game.managers.PlayerController.stats.carryWeight = 1000;
+    while (inventory.findEmptySlot() !== -1) {
+        assert.ok(inventory.addItem('mana_potion', inventory.getStackLimit('mana_potion')));
+    }
+}
+
+scenario('a harvest the inventory refuses stays in the ground', function(game) {
+    var farming = game.managers.FarmingManager;
+    var inventory = game.managers.InventoryManager;
+
+    inventory.addItem('seed_moonflower', 1);
+    assert.ok(farming.plantSeed('plant_moonflower', 0, 0));
+    var plant = farming.plantedCrops['0,0'];
+    plant.plantDef = Object.assign({}, plant.plantDef, {
+        harvestYield: { itemID: 'health_potion', minQuantity: 1, maxQuantity: 1 }
+    });
+    plant.ready = true;
+
+    fillInventory(game);
+    assert.strictEqual(farming.harvestPlant(0, 0), false);
+    assert.ok(farming.plantedCrops['0,0']);
+    assert.strictEqual(game.eventsNamed('farming:harvested').length, 0);
+    assert.strictEqual(game.eventsNamed('inventory:addRefused').length, 1);
+
+    inventory.removeItem('mana_potion', 20);
+    assert.ok(farming.harvestPlant(0, 0));
+    assert.strictEqual(inventory.getItemCount('health_potion'), 1);
+});
+
+scenario('quest item rewards wait until there is room', function(game) {
+    var quests = game.managers.QuestManager;
+    var inventory = game.managers.InventoryManager;
+
+    fillInventory(game);
+    quests.startQuest('side_farming_basics');
+    quests.completeQuest('side_farming_basics');
+    assert.strictEqual(inventory.getItemCount('seed_moonflower'), 0);
+    assert.strictEqual(quests.pendingRewards.length, 1);
+
+    assert.ok(game.save(0));
+    game.load(0);
+    assert.strictEqual(quests.pendingRewards.length, 1);
+
+    inventory.removeItem('mana_potion', 20);
+    assert.strictEqual(inventory.getItemCount('seed_moonflower'), 10);
+    assert.strictEqual(quests.pendingRewards.length, 0);
+});
+
+scenario('encumbrance is settled once the player loads', function(game) {
+    var inventory = game.managers.InventoryManager;
+    var player = game.managers.PlayerController;
+
+    player.stats.carryWeight = 200;
+    inventory.addItem('iron_sword', 25);
+    assert.strictEqual(inventory.isEncumbered(), false);
+    assert.ok(game.save(0));
+
+    // The inventory loads first and sees the lower carryWeight
+    player.stats.carryWeight = 100;
+    game.load(0);
+    assert.strictEqual(inventory.isEncumbered(), false);
+    assert.strictEqual(inventory.encumbered, false);
+});
+
+scenario('a game day of frames ends on the same minute', function(game) {
+    var time = game.managers.TimeManager;
+    var start = time.getTotalMinutes();
+
+    game.advanceGameDays(1);
+    assert.strictEqual(time.getTotalMinutes() - start, 24 * 60);
+    assert.strictEqual(time.getTimeString(), '06:00');
+
+    game.advance(0.25); // Two frames and a half-frame
+    assert.strictEqual(time.getTotalMinutes() - start, 24 * 60 + 15);
+});
+
+scenario('a save made after midnight loads at the same minute', function(game) {
+    var time = game.managers.TimeManager;
+    time.loadSaveData({ currentDay: 3, currentHour: 0, currentMinute: 30 });
+    var savedAt = time.getTotalMinutes();
+    assert.ok(game.save(0));
+
+    time.loadSaveData({ currentDay: 5, currentHour: 12, currentMinute: 0 });
+    game.load(0);
+    assert.strictEqual(time.getTimeString(), '00:30');
+    assert.strictEqual(time.getTotalMinutes(), savedAt);
+});
+
+scenario('continuing from the pause menu resumes play', function(game) {
+    var gameManager = game.managers.GameManager;
+    assert.ok(game.save(0));
+
+    assert.ok(gameManager.setGameState('paused'));
+    var result = null;
+    gameManager.continueGame(0, function(success) {
+        result = success;
+    });
+    game.clock.runDueTimers();
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(gameManager.gameState, 'playing');
+    assert.strictEqual(gameManager.getStateStack().join(' > '), 'playing');
+});
+
+scenario('continuing from a pause over dialogue closes the dialogue', function(game) {
+    var gameManager = game.managers.GameManager;
+    var dialogue = game.managers.DialogueManager;
+    var sage = gameManager.npcsData[0];
+    assert.ok(game.save(0));
+
+    dialogue.startDialogue(sage.dialogueTrees.greeting, sage.name);
+    assert.ok(gameManager.setGameState('paused'));
+    gameManager.continueGame(0);
+    game.clock.runDueTimers();
+
+    assert.strictEqual(gameManager.gameState, 'playing');
+    assert.strictEqual(dialogue.currentDialogue, null);
+    assert.strictEqual(game.eventsNamed('dialogue:ended').length, 1);
+});
+
+scenario('continuing where play cannot start reports failure', function(game) {
+    var gameManager = game.managers.GameManager;
+    assert.ok(game.save(0));
+
+    gameManager.changeState(['loading']);
+    var result = null;
+    gameManager.continueGame(0, function(success) {
+        result = success;
+    });
+    game.clock.runDueTimers();
+
+    assert.strictEqual(result, false);
+});
+
+scenario('settings apply, reject bad values and revert', function(game) {
+    var settings = game.managers.SettingsManager;
+    var app = game.pc.app;
+
+    assert.strictEqual(settings.set('masterVolume', 150), false);
+    assert.strictEqual(settings.set('graphicsQuality', 'ultra'), false);
+
+    assert.ok(settings.set('resolution', '1280x720'));
+    assert.strictEqual(app.resolution.width, 1280);
+    assert.ok(settings.set('graphicsQuality', 'low'));
+    assert.strictEqual(app.graphicsDevice.maxPixelRatio, 1);
+    assert.ok(settings.hasUnsavedChanges());
+
+    settings.revert();
+    assert.strictEqual(settings.get('resolution'), 'auto');
+    assert.strictEqual(app.resolution.mode, game.pc.RESOLUTION_AUTO);
+    assert.strictEqual(game.eventsNamed('settings:changed').length, 3);
+});
+
+scenario('replaying a session log ends in the recorded state', function(game) {
+    var eventBus = game.managers.EventBus;
+    var managers = game.managers;
+
+    eventBus.startRecording();
+    game.advance(0.5);
+    managers.InventoryManager.addItem('seed_moonflower', 2);
+    managers.FarmingManager.plantSeed('plant_moonflower', 1, 1);
+    game.advance(1);
+    managers.QuestManager.startQuest('side_farming_basics');
+    managers.InventoryManager.addCurrency('gold', 20);
+    game.advance(1);
+    managers.WeatherSystem.changeToRandomWeather();
+    game.advance(6);
+    var log = eventBus.exportRecording();
+
+    game.advance(3);
+    eventBus.startReplay(log);
+    game.advance(10);
+
+    var finished = game.eventsNamed('replay:finished');
+    assert.strictEqual(finished.length, 1);
+    assert.strictEqual(finished[0].args[0].diverged.join(', '), ''); // Arrays from the sandbox aren't deepStrictEqual to ours
+});
+
+scenario('analytics records nothing until it has a sink', function(game) {
+    var analytics = game.managers.AnalyticsManager;
+    var quests = game.managers.QuestManager;
+
+    assert.strictEqual(analytics.sinkInstance, null);
+    quests.startQuest('side_farming_basics');
+    assert.strictEqual(analytics.getQueue().length, 0);
+
+    var beacons = [];
+    analytics.setSink({
+        send: function(batch, callback) {
+            callback(new Error('Offline'));
+        },
+        sendBeacon: function(batch) {
+            beacons.push(batch.events.length);
+            return beacons.length < 2;
+        }
+    });
+    analytics.batchSize = 2;
+    for (var i = 0; i < 5; i++) analytics.track('test:event', [i]);
+
+    // The first batch goes out as the page hides; the rest waits in storage
+    analytics.flushOnUnload();
+    assert.strictEqual(beacons.join(', '), '2, 2');
+    assert.strictEqual(analytics.getQueue().length, 3);
+    analytics.storage.getItem('cozy_game_analytics_queue', function(err, value) {
+        assert.strictEqual(JSON.parse(value).length, 3);
+    });
+});
+
+// ----------------------------------------------------------------------------
+// Runner
+// ----------------------------------------------------------------------------
+
+function main() {
+    var names = process.argv.slice(2);
+    var selected = names.length === 0 ? scenarios : scenarios.filter(function(entry) {
+        return names.indexOf(entry.name) !== -1;
+    });
+
+    var failed = 0;
+    selected.forEach(function(entry) {
+        try {
+            entry.run(createGame());
+            console.log('  ok   ' + entry.name);
+        } catch (e) {
+            failed++;
+            console.log('  FAIL ' + entry.name);
+            console.log('       ' + String(e.message).split('\n').join('\n       '));
+        }
+    });
+
+    console.log('');
+    console.log(selected.length - failed + '/' + selected.length + ' scenarios passed');
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,128 @@
+// ============================================================================
+// Content Lint Command
+// Schema validation and cross-reference checks for data/*.json under Node
+// ============================================================================
+
+// Usage:
+//
+//   node tools/lint-content.js [dataDir] [--strict] [--packs]
+//
+// dataDir defaults to this project's data/ folder. --packs merges the packs
+// enabled in packs/manifest.json over it first, as the game does. Exits with 1
+// when there are errors, or with --strict when there are warnings too, so it
+// can gate CI.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var PROJECT_ROOT = path.resolve(__dirname, '..');
+var DATA_FILES = ['items', 'plants', 'quests', 'spells', 'npcs', 'achievements'];
+var OPTIONAL_FILES = ['achievements']; // The game starts without these, as in GameManager.DATA_FILES
+
+// The game scripts declare browser globals, so they run in a sandbox
+function loadGameScripts() {
+    var context = vm.createContext({ console: { log: function() {} } });
+    ['scripts/managers/data-schemas.js', 'scripts/managers/content-linter.js', 'scripts/managers/content-packs.js'].forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+function readDataFiles(dataDir, issues) {
+    var data = {};
+    DATA_FILES.forEach(function(name) {
+        var file = path.join(dataDir, name + '.json');
+        if (OPTIONAL_FILES.indexOf(name) !== -1 && !fs.existsSync(file)) return;
+        try {
+            data[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            issues.push({ severity: 'error', file: name + '.json', recordId: null, field: null, message: e.message });
+        }
+    });
+    return data;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Same rules as GameManager.loadContentPacks: enabled packs in manifest
+// order, and a pack with an unreadable file is skipped whole
+function applyPacks(game, data, issues) {
+    var manifestFile = path.join(PROJECT_ROOT, 'packs', 'manifest.json');
+    var report = function(file, message) {
+        issues.push({ severity: 'error', file: file, recordId: null, field: null, message: message });
+    };
+
+    var manifest;
+    try {
+        manifest = readJson(manifestFile);
+    } catch (e) {
+        report('packs/manifest.json', e.message);
+        return data;
+    }
+
+    var content = game.ContentPacks.createContent(data);
+    var applied = [];
+
+    (manifest.packs || []).filter(function(entry) {
+        return entry && entry.enabled !== false;
+    }).forEach(function(entry) {
+        var packPath = String(entry.path).replace(/\/$/, '');
+        var info, packData = {};
+        try {
+            info = readJson(path.join(PROJECT_ROOT, packPath, 'pack.json'));
+            (info.files || []).forEach(function(name) {
+                packData[name] = readJson(path.join(PROJECT_ROOT, packPath, name + '.json'));
+            });
+        } catch (e) {
+            report(packPath + '/pack.json', e.message);
+            return;
+        }
+
+        var pack = { id: info.id, name: info.name, version: info.version, path: packPath };
+        Array.prototype.push.apply(issues, game.ContentPacks.applyPack(content, pack, packData));
+        applied.push(pack);
+    });
+
+    applied.forEach(function(pack) {
+        var records = game.ContentPacks.getPackRecords(content, pack.id);
+        Object.keys(records).forEach(function(name) {
+            game.DataValidator.validate(name, records[name]).forEach(function(issue) {
+                issue.file = pack.path + '/' + issue.file;
+                issues.push(issue);
+            });
+        });
+    });
+
+    console.log('Packs: ' + (applied.map(function(pack) {
+        return pack.id;
+    }).join(', ') || 'none enabled'));
+    return content.data;
+}
+
+function main(args) {
+    var strict = args.indexOf('--strict') !== -1;
+    var dataDir = args.filter(function(arg) {
+        return arg.indexOf('--') !== 0;
+    })[0] || path.join(PROJECT_ROOT, 'data');
+
+    var game = loadGameScripts();
+    var issues = [];
+    var data = readDataFiles(path.resolve(dataDir), issues);
+
+    issues = issues.concat(game.DataValidator.validateAll(data));
+    if (args.indexOf('--packs') !== -1) {
+        data = applyPacks(game, data, issues);
+    }
+    issues = issues.concat(game.ContentLinter.lint(data));
+
+    console.log(game.DataValidator.formatReport(issues));
+
+    var errorCount = game.DataValidator.countErrors(issues);
+    var failed = errorCount > 0 || (strict && issues.length > 0);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main(process.argv.slice(2));
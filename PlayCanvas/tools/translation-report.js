@@ -0,0 +1,90 @@
+// ============================================================================
+// Translation Report Command
+// Lists the strings each locale in data/locales/ is missing under Node
+// ============================================================================
+
+// Usage:
+//
+//   node tools/translation-report.js [locale...] [--packs] [--strict]
+//
+// Checks every locale in data/locales/index.json unless some are named.
+// Content keys come from data/*.json, plus the enabled packs with --packs.
+// Exits with 1 under --strict when a checked locale is missing anything.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var PROJECT_ROOT = path.resolve(__dirname, '..');
+var LOCALES_DIR = path.join(PROJECT_ROOT, 'data', 'locales');
+var DATA_FILES = ['items', 'plants', 'quests', 'spells', 'npcs', 'achievements'];
+
+function loadGameScripts() {
+    var context = vm.createContext({ console: { log: function() {} }, Intl: Intl });
+    ['scripts/managers/data-schemas.js', 'scripts/managers/content-packs.js', 'scripts/managers/string-tables.js'].forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function readData(game, withPacks) {
+    var data = {};
+    DATA_FILES.forEach(function(name) {
+        data[name] = readJson(path.join(PROJECT_ROOT, 'data', name + '.json'));
+    });
+    if (!withPacks) return data;
+
+    // Pack problems are lint-content.js's job; only the merged text matters here
+    var content = game.ContentPacks.createContent(data);
+    var manifest = readJson(path.join(PROJECT_ROOT, 'packs', 'manifest.json'));
+    (manifest.packs || []).filter(function(entry) {
+        return entry && entry.enabled !== false;
+    }).forEach(function(entry) {
+        var packPath = String(entry.path).replace(/\/$/, '');
+        var info = readJson(path.join(PROJECT_ROOT, packPath, 'pack.json'));
+        var packData = {};
+        (info.files || []).forEach(function(name) {
+            packData[name] = readJson(path.join(PROJECT_ROOT, packPath, name + '.json'));
+        });
+        game.ContentPacks.applyPack(content, { id: info.id, name: info.name, version: info.version, path: packPath }, packData);
+    });
+    return content.data;
+}
+
+function main(args) {
+    var strict = args.indexOf('--strict') !== -1;
+    var requested = args.filter(function(arg) {
+        return arg.indexOf('--') !== 0;
+    });
+
+    var game = loadGameScripts();
+    var index = readJson(path.join(LOCALES_DIR, 'index.json'));
+    var defaultTable = readJson(path.join(LOCALES_DIR, index.defaultLocale + '.json'));
+    var uiKeys = Object.keys(defaultTable.strings).filter(function(key) {
+        return key.indexOf('ui.') === 0;
+    });
+    var contentStrings = game.StringTables.collectContentStrings(readData(game, args.indexOf('--packs') !== -1));
+
+    var codes = requested.length > 0 ? requested : index.locales.map(function(locale) {
+        return locale.code;
+    });
+    var reports = codes.map(function(code) {
+        var report = game.StringTables.findMissing(readJson(path.join(LOCALES_DIR, code + '.json')),
+            uiKeys, contentStrings, code === index.defaultLocale);
+        report.locale = code;
+        return report;
+    });
+
+    console.log(game.StringTables.formatReport(reports));
+
+    var incomplete = reports.some(function(report) {
+        return report.missing.length > 0;
+    });
+    process.exitCode = strict && incomplete ? 1 : 0;
+}
+
+main(process.argv.slice(2));
@@ -14,6 +14,7 @@ UIController.prototype.initialize = function() {
 
     // UI Elements
     this.loadingScreen = document.getElementById('loading-screen');
+    this.errorScreen = document.getElementById('error-screen');
     this.mainMenu = document.getElementById('main-menu');
     this.gameHud = document.getElementById('game-hud');
     this.pauseMenu = document.getElementById('pause-menu');
@@ -21,9 +22,15 @@ UIController.prototype.initialize = function() {
     // Panels
     this.inventoryPanel = document.getElementById('inventory-panel');
     this.questPanel = document.getElementById('quest-panel');
+    this.achievementsPanel = document.getElementById('achievements-panel');
     this.shopPanel = document.getElementById('shop-panel');
     this.craftingPanel = document.getElementById('crafting-panel');
     this.settingsPanel = document.getElementById('settings-panel');
+    this.saveSlotPanel = document.getElementById('save-slot-panel');
+
+    // Confirmation modal
+    this.confirmationModal = document.getElementById('confirmation-modal');
+    this.pendingConfirmation = null;
 
     // Dialogue
     this.dialogueBox = document.getElementById('dialogue-box');
@@ -34,9 +41,18 @@ UIController.prototype.initialize = function() {
     // Mobile
     this.mobileControls = document.getElementById('mobile-controls');
 
+    // Developer console (debug panel)
+    this.debugPanel = document.getElementById('debug-panel');
+    this.consoleOutput = document.getElementById('debug-console-output');
+    this.consoleInput = document.getElementById('debug-console-input');
+    this.consoleHistoryIndex = -1; // -1 while typing a new line
+
     // State
     this.currentPanel = null;
+    this.dragSourceSlot = null; // Inventory slot being dragged
     this.isPaused = false;
+    this.saveSlotMode = null; // 'new' or 'load' while the slot picker is open
+    this.errorRetry = null; // What the error screen's Retry button runs
 
     console.log('[UIController] Initialized');
 
@@ -76,6 +92,7 @@ UIController.prototype.setupEventListeners = function() {
     // HUD Shortcuts
     var btnInventory = document.getElementById('btn-inventory');
     var btnQuests = document.getElementById('btn-quests');
+    var btnAchievements = document.getElementById('btn-achievements');
 
     if (btnInventory) {
         btnInventory.addEventListener('click', this.toggleInventory.bind(this));
@@ -83,6 +100,9 @@ UIController.prototype.setupEventListeners = function() {
     if (btnQuests) {
         btnQuests.addEventListener('click', this.toggleQuests.bind(this));
     }
+    if (btnAchievements) {
+        btnAchievements.addEventListener('click', this.toggleAchievements.bind(this));
+    }
 
     // Close buttons (all panels)
     var closeButtons = document.querySelectorAll('.btn-close');
@@ -93,11 +113,88 @@ UIController.prototype.setupEventListeners = function() {
     // Keyboard shortcuts
     document.addEventListener('keydown', this.onKeyDown.bind(this));
 
+    // Developer console
+    if (this.consoleInput) {
+        this.consoleInput.addEventListener('keydown', this.onConsoleKeyDown.bind(this));
+        // Typing must not reach the game's keyboard (movement, hotkeys)
+        this.consoleInput.addEventListener('keyup', function(event) {
+            event.stopPropagation();
+        });
+    }
+    if (this.debugPanel) {
+        var btnMinimize = this.debugPanel.querySelector('.btn-minimize');
+        if (btnMinimize) btnMinimize.addEventListener('click', this.toggleDevConsole.bind(this));
+    }
+
     // Pause menu
     var btnResume = document.getElementById('btn-resume');
+    var btnPauseSettings = document.getElementById('btn-pause-settings');
     if (btnResume) {
         btnResume.addEventListener('click', this.resumeGame.bind(this));
     }
+    if (btnPauseSettings) {
+        btnPauseSettings.addEventListener('click', this.onShowSettings.bind(this));
+    }
+
+    // Save export / import
+    var btnExportSave = document.getElementById('btn-export-save');
+    var btnImportSave = document.getElementById('btn-import-save');
+    var importFileInput = document.getElementById('import-save-file');
+
+    if (btnExportSave) {
+        btnExportSave.addEventListener('click', this.onExportSave.bind(this));
+    }
+    if (btnImportSave && importFileInput) {
+        btnImportSave.addEventListener('click', function() {
+            importFileInput.click();
+        });
+        importFileInput.addEventListener('change', this.onImportFileSelected.bind(this));
+    }
+
+    // Error screen
+    var btnErrorRetry = document.getElementById('btn-error-retry');
+    var btnErrorReload = document.getElementById('btn-error-reload');
+
+    if (btnErrorRetry) {
+        btnErrorRetry.addEventListener('click', this.onErrorRetry.bind(this));
+    }
+    if (btnErrorReload) {
+        btnErrorReload.addEventListener('click', function() {
+            window.location.reload();
+        });
+    }
+
+    // Language
+    var languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+        languageSelect.addEventListener('change', function() {
+            var localization = LocalizationManager.getInstance();
+            if (localization) localization.setLocale(languageSelect.value);
+        });
+    }
+
+    // Settings panel
+    this.setupSettingsControls();
+
+    // Analytics opt-out
+    var shareAnalytics = document.getElementById('share-analytics');
+    if (shareAnalytics) {
+        shareAnalytics.addEventListener('change', function() {
+            var analytics = AnalyticsManager.getInstance();
+            if (analytics) analytics.setOptOut(!shareAnalytics.checked);
+        });
+    }
+
+    // Confirmation modal
+    var btnModalConfirm = document.getElementById('btn-modal-confirm');
+    var btnModalCancel = document.getElementById('btn-modal-cancel');
+
+    if (btnModalConfirm) {
+        btnModalConfirm.addEventListener('click', this.onConfirmationAccepted.bind(this));
+    }
+    if (btnModalCancel) {
+        btnModalCancel.addEventListener('click', this.hideConfirmation.bind(this));
+    }
 };
 
 UIController.prototype.setupGameEvents = function() {
@@ -105,15 +202,29 @@ UIController.prototype.setupGameEvents = function() {
     if (!eventBus) return;
 
     // Listen to game events
+    eventBus.on('data:progress', this.onDataProgress, this);
+    eventBus.on('data:fileFailed', this.onDataFileFailed, this);
+    eventBus.on('data:loadFailed', this.onDataLoadFailed, this);
     eventBus.on('data:loaded', this.onDataLoaded, this);
+    eventBus.on('data:validationFailed', this.onDataValidationFailed, this);
     eventBus.on('game:stateChanged', this.onGameStateChanged, this);
     eventBus.on('inventory:changed', this.updateInventoryUI, this);
+    eventBus.on('inventory:encumbranceChanged', this.onEncumbranceChanged, this);
+    eventBus.on('inventory:addRefused', this.onAddRefused, this);
     eventBus.on('quest:started', this.onQuestStarted, this);
     eventBus.on('quest:updated', this.updateQuestUI, this);
     eventBus.on('quest:completed', this.onQuestCompleted, this);
+    eventBus.on('achievement:unlocked', this.onAchievementUnlocked, this);
     eventBus.on('dialogue:started', this.onDialogueStarted, this);
     eventBus.on('dialogue:ended', this.onDialogueEnded, this);
     eventBus.on('farming:harvested', this.onFarmingHarvested, this);
+    eventBus.on('game:slotsChanged', this.onSlotsChanged, this);
+    eventBus.on('game:loadFailed', this.onLoadFailed, this);
+    eventBus.on('game:saveRecovered', this.onSaveRecovered, this);
+    eventBus.on('game:offlineProgress', this.onOfflineProgress, this);
+    eventBus.on('locale:changed', this.onLocaleChanged, this);
+    eventBus.on('settings:changed', this.updateSettingsUI, this);
+    eventBus.on('console:output', this.onConsoleOutput, this);
 };
 
 // ============================================================================
@@ -132,7 +243,8 @@ UIController.prototype.updateLoadingProgress = function(progress, text) {
     var progressBar = document.getElementById('loading-progress');
     var loadingText = document.getElementById('loading-text');
 
-    if (progressBar) {
+    // null progress only changes the text
+    if (progressBar && progress !== null) {
         progressBar.style.width = (progress * 100) + '%';
     }
     if (loadingText && text) {
@@ -140,12 +252,86 @@ UIController.prototype.updateLoadingProgress = function(progress, text) {
     }
 };
 
+UIController.prototype.onDataProgress = function(progress) {
+    this.updateLoadingProgress(progress.progress, this.t('ui.loading.progress', { loaded: progress.loaded, total: progress.total }));
+};
+
+UIController.prototype.onDataFileFailed = function(failure) {
+    if (failure.willRetry) {
+        this.updateLoadingProgress(null, this.t('ui.loading.retryingFile', { name: failure.name, attempt: failure.attempt + 1 }));
+    }
+};
+
+UIController.prototype.onDataLoadFailed = function(result) {
+    var details = result.files.map(function(file) {
+        return file.url + ': ' + file.error;
+    }).join('\n');
+
+    this.showErrorScreen(this.t('ui.error.dataMissingTitle'),
+        this.t('ui.error.dataMissingMessage'),
+        details,
+        function() {
+            var gameManager = GameManager.getInstance();
+            if (gameManager) gameManager.retryDataLoading();
+        });
+};
+
+// Strict validation stops on the error screen with the full report;
+// otherwise the game starts and the problems are only flagged
+UIController.prototype.onDataValidationFailed = function(result) {
+    if (!result.blocking) {
+        this.showNotification(this.t('ui.notify.dataIssues', {
+            errors: this.t('ui.notify.errorCount', { count: result.errorCount }),
+            warnings: this.t('ui.notify.warningCount', { count: result.warningCount })
+        }), 'warning');
+        return;
+    }
+
+    this.showErrorScreen(this.t('ui.error.dataInvalidTitle'),
+        this.t('ui.error.dataInvalidMessage'),
+        result.report,
+        null);
+};
+
+// ============================================================================
+// Error Screen
+// ============================================================================
+
+// retry is optional; without it only Reload is offered
+UIController.prototype.showErrorScreen = function(title, message, details, retry) {
+    if (!this.errorScreen) return;
+
+    document.getElementById('error-title').textContent = title;
+    document.getElementById('error-message').textContent = message;
+    document.getElementById('error-details').textContent = details || '';
+
+    this.errorRetry = retry || null;
+    document.getElementById('btn-error-retry').classList.toggle('hidden', !retry);
+
+    this.errorScreen.classList.remove('hidden');
+};
+
+UIController.prototype.hideErrorScreen = function() {
+    if (this.errorScreen) {
+        this.errorScreen.classList.add('hidden');
+    }
+    this.errorRetry = null;
+};
+
+UIController.prototype.onErrorRetry = function() {
+    var retry = this.errorRetry;
+    this.hideErrorScreen();
+    this.updateLoadingProgress(null, this.t('ui.loading.retrying'));
+
+    if (retry) retry();
+};
+
 // ============================================================================
 // Game State
 // ============================================================================
 
 UIController.prototype.onDataLoaded = function() {
-    this.updateLoadingProgress(1, 'Ready!');
+    this.updateLoadingProgress(1, this.t('ui.loading.ready'));
 
     setTimeout(function() {
         this.hideLoading();
@@ -169,6 +355,10 @@ UIController.prototype.onGameStateChanged = function(newState, oldState) {
             this.showPauseMenu();
             break;
     }
+
+    if (oldState === 'paused' && newState !== 'paused') {
+        this.hidePauseMenu();
+    }
 };
 
 // ============================================================================
@@ -177,7 +367,10 @@ UIController.prototype.onGameStateChanged = function(newState, oldState) {
 
 UIController.prototype.showMainMenu = function() {
     this.mainMenu.classList.remove('hidden');
+    this.updateContinueButton();
+};
 
+UIController.prototype.updateContinueButton = function() {
     // Check if save file exists
     var saveSystem = SaveSystem.getInstance();
     var btnContinue = document.getElementById('btn-continue-game');
@@ -191,21 +384,316 @@ UIController.prototype.hideMainMenu = function() {
 };
 
 UIController.prototype.onNewGame = function() {
+    this.openSaveSlots('new');
+};
+
+UIController.prototype.onContinueGame = function() {
+    this.openSaveSlots('load');
+};
+
+UIController.prototype.onShowSettings = function() {
+    var analytics = AnalyticsManager.getInstance();
+    var shareAnalytics = document.getElementById('share-analytics');
+    if (shareAnalytics) {
+        shareAnalytics.checked = !analytics || !analytics.isOptedOut();
+        shareAnalytics.disabled = !analytics;
+    }
+
+    this.openPanel(this.settingsPanel);
+    this.showSettingsTab('video');
+    this.updateSettingsUI();
+};
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+// Control id -> SettingsManager setting
+UIController.SETTINGS_CONTROLS = {
+    'graphics-quality': 'graphicsQuality',
+    'resolution': 'resolution',
+    'vsync': 'vsync',
+    'master-volume': 'masterVolume',
+    'music-volume': 'musicVolume',
+    'sfx-volume': 'sfxVolume'
+};
+
+// Controls apply as they change so volume can be heard and quality seen;
+// closing the panel without saving puts the saved settings back
+UIController.prototype.setupSettingsControls = function() {
+    Object.keys(UIController.SETTINGS_CONTROLS).forEach(function(controlId) {
+        var control = document.getElementById(controlId);
+        if (!control) return;
+
+        var key = UIController.SETTINGS_CONTROLS[controlId];
+        control.addEventListener(control.type === 'range' ? 'input' : 'change', function() {
+            var settings = this.getSettings();
+            if (!settings) return;
+
+            if (control.type === 'checkbox') settings.set(key, control.checked);
+            else if (control.type === 'range') settings.set(key, Number(control.value));
+            else settings.set(key, control.value);
+        }.bind(this));
+    }.bind(this));
+
+    var btnSave = document.getElementById('btn-save-settings');
+    var btnReset = document.getElementById('btn-reset-settings');
+
+    if (btnSave) {
+        btnSave.addEventListener('click', this.onSaveSettings.bind(this));
+    }
+    if (btnReset) {
+        btnReset.addEventListener('click', function() {
+            this.showConfirmation(this.t('ui.settings.resetTitle'), this.t('ui.settings.resetMessage'), function() {
+                var settings = this.getSettings();
+                if (settings) settings.resetToDefaults();
+            });
+        }.bind(this));
+    }
+
+    if (this.settingsPanel) {
+        this.settingsPanel.querySelectorAll('.tab-btn').forEach(function(tab) {
+            tab.addEventListener('click', function() {
+                this.showSettingsTab(tab.dataset.tab);
+            }.bind(this));
+        }.bind(this));
+    }
+};
+
+// settings.js is optional; scenes without it have no settings to show
+UIController.prototype.getSettings = function() {
+    return typeof SettingsManager !== 'undefined' ? SettingsManager.getInstance() : null;
+};
+
+// Tabs show the section named <tab>-settings
+UIController.prototype.showSettingsTab = function(tabName) {
+    if (!this.settingsPanel) return;
+
+    this.settingsPanel.querySelectorAll('.tab-btn').forEach(function(tab) {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
+    this.settingsPanel.querySelectorAll('.settings-section').forEach(function(section) {
+        section.classList.toggle('hidden', section.id !== tabName + '-settings');
+    });
+};
+
+UIController.prototype.updateSettingsUI = function() {
+    var settings = this.getSettings();
+    if (!settings) return;
+
+    Object.keys(UIController.SETTINGS_CONTROLS).forEach(function(controlId) {
+        var control = document.getElementById(controlId);
+        if (!control) return;
+
+        var value = settings.get(UIController.SETTINGS_CONTROLS[controlId]);
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value;
+        }
+
+        var valueText = document.getElementById(controlId + '-value');
+        if (valueText) valueText.textContent = this.formatPercent(value);
+    }.bind(this));
+};
+
+UIController.prototype.onSaveSettings = function() {
+    var settings = this.getSettings();
+    if (!settings) return;
+
+    if (settings.save()) {
+        this.showNotification(this.t('ui.notify.settingsSaved'), 'success');
+    } else {
+        this.showNotification(this.t('ui.notify.settingsNotStored'), 'warning');
+    }
+    this.closeCurrentPanel();
+};
+
+// ============================================================================
+// Save Slots
+// ============================================================================
+
+UIController.prototype.openSaveSlots = function(mode) {
+    this.saveSlotMode = mode;
+
+    var nameRow = document.getElementById('save-slot-name-row');
+    if (nameRow) {
+        nameRow.classList.toggle('hidden', mode !== 'new');
+    }
+
+    this.openPanel(this.saveSlotPanel);
+    this.updateSaveSlotsUI();
+};
+
+UIController.prototype.updateSaveSlotsUI = function() {
+    var saveSystem = SaveSystem.getInstance();
     var gameManager = GameManager.getInstance();
-    if (gameManager) {
-        gameManager.newGame();
+    var list = document.getElementById('save-slot-list');
+    if (!saveSystem || !list || this.currentPanel !== this.saveSlotPanel) return;
+
+    var title = document.getElementById('save-slot-title');
+    if (title) {
+        title.textContent = this.t(this.saveSlotMode === 'new' ? 'ui.slots.newTitle' : 'ui.slots.loadTitle');
     }
+
+    list.innerHTML = '';
+
+    saveSystem.listSaves().forEach(function(save) {
+        var slotDiv = document.createElement('div');
+        slotDiv.className = 'save-slot' + (save.empty ? ' empty' : '');
+
+        var info = document.createElement('div');
+        info.className = 'save-slot-info';
+
+        var name = document.createElement('div');
+        name.className = 'save-slot-name';
+        name.textContent = save.empty ?
+            this.t('ui.slots.empty', { slot: save.slot + 1 }) :
+            this.t('ui.slots.named', { slot: save.slot + 1, name: save.playerName });
+        info.appendChild(name);
+
+        if (!save.empty) {
+            var details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.textContent = this.t('ui.slots.details', {
+                date: this.formatGameDate(save.season, save.dayOfSeason),
+                day: this.formatNumber(save.day),
+                playtime: this.formatPlaytime(save.playtime),
+                gold: this.t('ui.slots.gold', { count: save.gold }),
+                saved: this.formatDate(save.timestamp)
+            });
+            info.appendChild(details);
+        }
+
+        var missingPacks = !save.empty && gameManager ? gameManager.getMissingPacks(save.contentPacks) : [];
+        if (missingPacks.length > 0) {
+            var warning = document.createElement('div');
+            warning.className = 'save-slot-warning';
+            warning.textContent = this.t('ui.slots.needsPacks', {
+                packs: missingPacks.map(function(pack) {
+                    return pack.name || pack.id;
+                }).join(', ')
+            });
+            info.appendChild(warning);
+        }
+
+        slotDiv.appendChild(info);
+
+        if (!save.empty) {
+            var btnDelete = document.createElement('button');
+            btnDelete.className = 'btn-secondary';
+            btnDelete.textContent = this.t('ui.slots.delete');
+            btnDelete.addEventListener('click', function(event) {
+                event.stopPropagation();
+                this.showConfirmation(this.t('ui.slots.deleteTitle'), this.t('ui.slots.deleteMessage', { slot: save.slot + 1 }), function() {
+                    SaveSystem.getInstance().deleteSave(save.slot);
+                });
+            }.bind(this));
+            slotDiv.appendChild(btnDelete);
+        }
+
+        if (this.saveSlotMode === 'load' && save.empty) {
+            slotDiv.classList.add('disabled');
+        } else {
+            slotDiv.addEventListener('click', function() {
+                this.onSaveSlotSelected(save);
+            }.bind(this));
+        }
+
+        list.appendChild(slotDiv);
+    }.bind(this));
 };
 
-UIController.prototype.onContinueGame = function() {
+UIController.prototype.onSaveSlotSelected = function(save) {
     var gameManager = GameManager.getInstance();
-    if (gameManager) {
-        gameManager.continueGame();
+    if (!gameManager) return;
+
+    if (this.saveSlotMode === 'load') {
+        this.closeCurrentPanel();
+        gameManager.continueGame(save.slot);
+        return;
+    }
+
+    var nameInput = document.getElementById('save-slot-player-name');
+    var playerName = nameInput && nameInput.value.trim() ? nameInput.value.trim() : this.t('ui.slots.defaultPlayerName');
+
+    var startNewGame = function() {
+        this.closeCurrentPanel();
+        gameManager.newGame(save.slot, playerName);
+    }.bind(this);
+
+    if (save.empty) {
+        startNewGame();
+    } else {
+        this.showConfirmation(this.t('ui.slots.overwriteTitle'),
+            this.t('ui.slots.overwriteMessage', { slot: save.slot + 1, name: save.playerName }), startNewGame);
     }
 };
 
-UIController.prototype.onShowSettings = function() {
-    this.openPanel(this.settingsPanel);
+UIController.prototype.onSlotsChanged = function() {
+    this.updateContinueButton();
+    this.updateSaveSlotsUI();
+};
+
+UIController.prototype.onLoadFailed = function(details) {
+    this.showNotification(this.t('ui.notify.loadFailed', { slot: details.slot + 1, message: details.message }), 'error');
+};
+
+UIController.prototype.onSaveRecovered = function(details) {
+    this.showNotification(this.t('ui.notify.saveRecovered', {
+        slot: details.slot + 1,
+        date: this.formatDate(details.timestamp)
+    }), 'warning');
+};
+
+// "While you were away: 2 days passed, 12 crops ready, ..."
+UIController.prototype.onOfflineProgress = function(summary) {
+    var hours = Math.floor(summary.gameMinutes / 60);
+    var details = [this.t('ui.offline.passed', {
+        time: hours >= 24 ?
+            this.t('ui.offline.days', { count: Math.floor(hours / 24) }) :
+            this.t('ui.offline.hours', { count: Math.max(hours, 1) })
+    })];
+
+    if (summary.cropsReady > 0) {
+        details.push(this.t('ui.offline.cropsReady', { count: summary.cropsReady }));
+    }
+    if (summary.shopsRestocked > 0) {
+        details.push(this.t('ui.offline.shopsRestocked', { count: summary.shopsRestocked }));
+    }
+    if (summary.weather) {
+        details.push(this.t('ui.offline.weather', { weather: this.t('ui.weather.' + summary.weather) }));
+    }
+
+    this.showNotification(this.t('ui.offline.summary', { details: details.join(', ') }));
+};
+
+// ============================================================================
+// Confirmation Modal
+// ============================================================================
+
+UIController.prototype.showConfirmation = function(title, message, onConfirm) {
+    var titleText = document.getElementById('modal-title');
+    var messageText = document.getElementById('modal-message');
+
+    if (titleText) titleText.textContent = title;
+    if (messageText) messageText.textContent = message;
+
+    this.pendingConfirmation = onConfirm;
+    this.confirmationModal.classList.remove('hidden');
+};
+
+UIController.prototype.hideConfirmation = function() {
+    this.confirmationModal.classList.add('hidden');
+    this.pendingConfirmation = null;
+};
+
+UIController.prototype.onConfirmationAccepted = function() {
+    var onConfirm = this.pendingConfirmation;
+    this.hideConfirmation();
+    if (onConfirm) {
+        onConfirm.call(this);
+    }
 };
 
 // ============================================================================
@@ -283,7 +771,7 @@ UIController.prototype.updateTime = function() {
         timeText.textContent = timeManager.getTimeString();
     }
     if (dateText) {
-        dateText.textContent = timeManager.currentSeason + ' ' + timeManager.dayOfSeason;
+        dateText.textContent = this.formatGameDate(timeManager.currentSeason, timeManager.dayOfSeason);
     }
 };
 
@@ -325,7 +813,7 @@ UIController.prototype.updateInventoryUI = function() {
                 // Add item icon (placeholder)
                 var icon = document.createElement('div');
                 icon.className = 'item-icon';
-                icon.textContent = itemDef.name.charAt(0); // Placeholder
+                icon.textContent = this.contentText('items', item.itemId, 'name', itemDef.name).charAt(0); // Placeholder
                 slot.appendChild(icon);
 
                 // Add quantity if stackable
@@ -345,9 +833,18 @@ UIController.prototype.updateInventoryUI = function() {
                 slot.addEventListener('click', function() {
                     this.onItemClicked(item, itemDef);
                 }.bind(this));
+
+                slot.draggable = true;
+                slot.addEventListener('dragstart', this.onSlotDragStart.bind(this, i));
+                slot.addEventListener('dragend', this.onSlotDragEnd.bind(this));
             }
         }
 
+        // Every slot takes drops, empty ones included
+        slot.addEventListener('dragover', this.onSlotDragOver.bind(this));
+        slot.addEventListener('dragleave', this.onSlotDragLeave.bind(this));
+        slot.addEventListener('drop', this.onSlotDrop.bind(this, i));
+
         grid.appendChild(slot);
     }
 
@@ -357,15 +854,82 @@ UIController.prototype.updateInventoryUI = function() {
         slotsText.textContent = inventory.items.length;
     }
 
+    var weightText = document.getElementById('inventory-weight');
+    var maxWeightText = document.getElementById('inventory-max-weight');
+    if (weightText && maxWeightText) {
+        weightText.textContent = this.formatNumber(inventory.getWeight());
+        maxWeightText.textContent = this.formatNumber(inventory.getMaxWeight());
+        weightText.parentNode.classList.toggle('encumbered', inventory.isEncumbered());
+    }
+
     // Update currency
     this.updateCurrency();
 };
 
+UIController.prototype.onEncumbranceChanged = function(encumbered) {
+    // A load settles the weight before the player's stats arrive
+    var saveSystem = SaveSystem.getInstance();
+    if (!encumbered || (saveSystem && saveSystem.applyingSave)) return;
+
+    this.showNotification(this.t('ui.notify.encumbered'), 'warning');
+};
+
+UIController.prototype.onAddRefused = function(refusal) {
+    var itemDef = InventoryManager.getInstance().itemDefinitions[refusal.itemId];
+    var key = refusal.reason === 'tooHeavy' ? 'ui.notify.tooHeavy' : 'ui.notify.inventoryFull';
+    this.showNotification(this.t(key, {
+        name: this.contentText('items', refusal.itemId, 'name', itemDef ? itemDef.name : refusal.itemId)
+    }), 'warning');
+};
+
 UIController.prototype.onItemClicked = function(item, itemDef) {
     console.log('[UIController] Item clicked:', itemDef.name);
     // Show item tooltip or use item
 };
 
+// Drag a stack onto another slot to move, merge or swap it; hold Shift
+// while dropping to move half the stack
+UIController.prototype.onSlotDragStart = function(slotIndex, event) {
+    this.dragSourceSlot = slotIndex;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', String(slotIndex));
+    event.currentTarget.classList.add('dragging');
+};
+
+UIController.prototype.onSlotDragEnd = function(event) {
+    this.dragSourceSlot = null;
+    event.currentTarget.classList.remove('dragging');
+};
+
+UIController.prototype.onSlotDragOver = function(event) {
+    if (this.dragSourceSlot === null || this.dragSourceSlot === undefined) return;
+
+    // Allowing the drop is what makes the slot a drop target
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+};
+
+UIController.prototype.onSlotDragLeave = function(event) {
+    event.currentTarget.classList.remove('drag-over');
+};
+
+UIController.prototype.onSlotDrop = function(slotIndex, event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+
+    var inventory = InventoryManager.getInstance();
+    var fromSlot = this.dragSourceSlot;
+    this.dragSourceSlot = null;
+    if (!inventory || fromSlot === null || fromSlot === undefined) return;
+
+    var stack = inventory.getStack(fromSlot);
+    var quantity = stack && event.shiftKey && stack.quantity > 1 ? Math.floor(stack.quantity / 2) : undefined;
+
+    // Success redraws the grid through inventory:changed
+    inventory.moveItem(fromSlot, slotIndex, quantity);
+};
+
 // ============================================================================
 // Quests
 // ============================================================================
@@ -396,51 +960,159 @@ UIController.prototype.updateQuestUI = function() {
 
         var title = document.createElement('div');
         title.className = 'quest-title';
-        title.textContent = quest.questName;
+        title.textContent = this.contentText('quests', quest.questID, 'questName', quest.questName);
 
         var objectives = document.createElement('div');
         objectives.className = 'quest-objectives';
 
-        quest.objectives.forEach(function(obj) {
+        quest.objectives.forEach(function(obj, index) {
             var objDiv = document.createElement('div');
             objDiv.className = 'objective' + (obj.isCompleted ? ' completed' : '');
-            objDiv.textContent = obj.description + ' (' + obj.currentCount + '/' + obj.targetCount + ')';
+            objDiv.textContent = this.t('ui.quests.objectiveProgress', {
+                description: this.contentText('quests', quest.questID, 'objectives.' + index + '.description', obj.description),
+                current: this.formatNumber(obj.currentCount),
+                target: this.formatNumber(obj.targetCount)
+            });
             objectives.appendChild(objDiv);
-        });
+        }.bind(this));
 
         questItem.appendChild(title);
         questItem.appendChild(objectives);
         questList.appendChild(questItem);
-    });
+    }.bind(this));
 };
 
 UIController.prototype.onQuestStarted = function(quest) {
-    this.showNotification('New Quest: ' + quest.questName, 'success');
+    this.showNotification(this.t('ui.notify.questStarted', {
+        name: this.contentText('quests', quest.questID, 'questName', quest.questName)
+    }), 'success');
     this.updateQuestUI();
 };
 
 UIController.prototype.onQuestCompleted = function(quest) {
-    this.showNotification('Quest Completed: ' + quest.questName, 'success');
+    this.showNotification(this.t('ui.notify.questCompleted', {
+        name: this.contentText('quests', quest.questID, 'questName', quest.questName)
+    }), 'success');
     this.updateQuestUI();
 };
 
+// ============================================================================
+// Achievements
+// ============================================================================
+
+UIController.prototype.toggleAchievements = function() {
+    if (this.currentPanel === this.achievementsPanel) {
+        this.closeCurrentPanel();
+    } else {
+        this.openPanel(this.achievementsPanel);
+        this.updateAchievementsUI();
+    }
+};
+
+UIController.prototype.updateAchievementsUI = function() {
+    var achievementManager = AchievementManager.getInstance();
+    var list = document.getElementById('achievement-list');
+    var summary = document.getElementById('achievement-summary');
+    if (!achievementManager || !list) return;
+
+    var achievements = achievementManager.getAchievements();
+    var unlockedCount = achievements.filter(function(achievement) {
+        return achievement.unlocked;
+    }).length;
+
+    if (summary) {
+        summary.textContent = achievements.length === 0 ? this.t('ui.achievements.empty') : this.t('ui.achievements.summary', {
+            unlocked: this.formatNumber(unlockedCount),
+            total: this.formatNumber(achievements.length),
+            points: this.t('ui.achievements.points', { count: achievementManager.getPoints() })
+        });
+    }
+
+    list.innerHTML = '';
+
+    achievements.forEach(function(achievement) {
+        var id = achievement.achievementID;
+        var hidden = achievement.secret && !achievement.unlocked;
+
+        var item = document.createElement('div');
+        item.className = 'achievement-item' + (achievement.unlocked ? ' unlocked' : '');
+
+        var icon = document.createElement('div');
+        icon.className = 'achievement-icon';
+        icon.textContent = hidden ? '❔' : achievement.icon || '🏆';
+
+        var info = document.createElement('div');
+        info.className = 'achievement-info';
+
+        var name = document.createElement('div');
+        name.className = 'achievement-name';
+        name.textContent = hidden ? this.t('ui.achievements.secret') : this.contentText('achievements', id, 'name', achievement.name);
+
+        var details = document.createElement('div');
+        details.className = 'achievement-details';
+        details.textContent = hidden ? this.t('ui.achievements.secretHint') : this.contentText('achievements', id, 'description', achievement.description);
+
+        var status = document.createElement('div');
+        status.className = 'achievement-details';
+        status.textContent = achievement.unlocked ?
+            this.t('ui.achievements.unlockedOn', { date: this.formatDate(achievement.unlockedAt) }) :
+            this.t('ui.achievements.progress', {
+                current: this.formatNumber(achievement.progress.current),
+                target: this.formatNumber(achievement.progress.target)
+            });
+
+        var points = document.createElement('div');
+        points.className = 'achievement-points';
+        points.textContent = this.formatNumber(achievement.points || 0);
+
+        info.appendChild(name);
+        info.appendChild(details);
+        info.appendChild(status);
+        item.appendChild(icon);
+        item.appendChild(info);
+        item.appendChild(points);
+        list.appendChild(item);
+    }.bind(this));
+};
+
+UIController.prototype.onAchievementUnlocked = function(achievement) {
+    this.showNotification(this.t('ui.notify.achievementUnlocked', {
+        name: this.contentText('achievements', achievement.achievementID, 'name', achievement.name)
+    }), 'success');
+
+    if (this.currentPanel === this.achievementsPanel) this.updateAchievementsUI();
+};
+
 // ============================================================================
 // Dialogue
 // ============================================================================
 
-UIController.prototype.onDialogueStarted = function(npcName, node) {
+UIController.prototype.onDialogueStarted = function(npcName, node, source) {
     this.dialogueBox.classList.remove('hidden');
+    this.dialogueNpcName = npcName;
+    this.renderDialogue(node, source);
+};
 
+// source ({ npcId, treeName }) is how lines are looked up in the string table
+UIController.prototype.renderDialogue = function(node, source) {
     var nameText = document.getElementById('dialogue-npc-name');
     var dialogueText = document.getElementById('dialogue-text');
 
-    if (nameText) nameText.textContent = npcName;
-    if (dialogueText) dialogueText.textContent = node.text;
+    if (nameText) {
+        nameText.textContent = source ? this.contentText('npcs', source.npcId, 'name', this.dialogueNpcName) : this.dialogueNpcName;
+    }
+    if (dialogueText) dialogueText.textContent = this.dialogueLine(source, node, 'text', node.text);
+
+    this.updateDialogueChoices(node, source);
+};
 
-    this.updateDialogueChoices(node);
+UIController.prototype.dialogueLine = function(source, node, field, fallback) {
+    var localization = LocalizationManager.getInstance();
+    if (!source || !localization) return fallback;
+    return localization.dialogueText(source.npcId, source.treeName, node.nodeID, field, fallback);
 };
 
-UIController.prototype.updateDialogueChoices = function(node) {
+UIController.prototype.updateDialogueChoices = function(node, source) {
     var choicesDiv = document.getElementById('dialogue-choices');
     if (!choicesDiv) return;
 
@@ -450,7 +1122,7 @@ UIController.prototype.updateDialogueChoices = function(node) {
         node.choices.forEach(function(choice, index) {
             var choiceBtn = document.createElement('button');
             choiceBtn.className = 'dialogue-choice';
-            choiceBtn.textContent = choice.text;
+            choiceBtn.textContent = this.dialogueLine(source, node, 'choices.' + index + '.text', choice.text);
             choiceBtn.addEventListener('click', function() {
                 this.onDialogueChoiceSelected(index);
             }.bind(this));
@@ -475,7 +1147,7 @@ UIController.prototype.onDialogueEnded = function() {
 // ============================================================================
 
 UIController.prototype.onFarmingHarvested = function(data) {
-    this.showNotification('Harvested ' + data.yield + 'x items!', 'success');
+    this.showNotification(this.t('ui.notify.harvested', { count: data.yield }), 'success');
 };
 
 // ============================================================================
@@ -517,6 +1189,12 @@ UIController.prototype.openPanel = function(panel) {
 };
 
 UIController.prototype.closeCurrentPanel = function() {
+    // Unsaved settings only last while the panel is open
+    var settings = this.getSettings();
+    if (this.currentPanel === this.settingsPanel && settings && settings.hasUnsavedChanges()) {
+        settings.revert();
+    }
+
     if (this.currentPanel) {
         this.currentPanel.classList.add('hidden');
         this.currentPanel = null;
@@ -537,33 +1215,104 @@ UIController.prototype.hidePauseMenu = function() {
     this.isPaused = false;
 };
 
+// Back to whatever the pause interrupted (play or a dialogue)
 UIController.prototype.resumeGame = function() {
-    this.hidePauseMenu();
     var gameManager = GameManager.getInstance();
-    if (gameManager) {
-        gameManager.setGameState('playing');
+    if (gameManager && gameManager.gameState === 'paused') {
+        gameManager.popState();
+    } else {
+        this.hidePauseMenu();
     }
 };
 
+// ============================================================================
+// Save Export / Import
+// ============================================================================
+
+UIController.prototype.onExportSave = function() {
+    var saveSystem = SaveSystem.getInstance();
+    if (!saveSystem) return;
+
+    saveSystem.exportSave(function(err, text) {
+        if (err) {
+            this.showNotification(this.t('ui.notify.exportFailed', { message: err.message }), 'error');
+            return;
+        }
+
+        var gameManager = GameManager.getInstance();
+        var playerName = gameManager ? gameManager.playerName : 'Player';
+        var fileName = 'cozy-farm-' + playerName.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '-' + Date.now() + '.cozysave';
+
+        this.downloadTextFile(fileName, text);
+        this.showNotification(this.t('ui.notify.exported'), 'success');
+    }.bind(this));
+};
+
+UIController.prototype.onImportFileSelected = function(event) {
+    var input = event.target;
+    var file = input.files && input.files[0];
+    var saveSystem = SaveSystem.getInstance();
+    if (!file || !saveSystem) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        saveSystem.importSave(reader.result, function(err) {
+            if (err) {
+                this.showNotification(this.t('ui.notify.importFailed', { message: err.message }), 'error');
+            } else {
+                this.showNotification(this.t('ui.notify.imported'), 'success');
+                this.updateAllHUD();
+            }
+        }.bind(this));
+    }.bind(this);
+    reader.onerror = function() {
+        this.showNotification(this.t('ui.notify.readFailed', { file: file.name }), 'error');
+    }.bind(this);
+    reader.readAsText(file);
+
+    // Allow picking the same file again
+    input.value = '';
+};
+
+UIController.prototype.downloadTextFile = function(fileName, text) {
+    var url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
 // ============================================================================
 // Keyboard Input
 // ============================================================================
 
 UIController.prototype.onKeyDown = function(event) {
+    var gameManager = GameManager.getInstance();
+
+    // ` - Developer console (not in release builds)
+    if (event.key === '`') {
+        event.preventDefault();
+        this.toggleDevConsole();
+        return;
+    }
+
     // ESC - Pause/Resume
     if (event.key === 'Escape') {
         if (this.currentPanel) {
             this.closeCurrentPanel();
         } else if (this.isPaused) {
             this.resumeGame();
-        } else {
-            var gameManager = GameManager.getInstance();
-            if (gameManager) {
-                gameManager.setGameState('paused');
-            }
+        } else if (gameManager && gameManager.canEnterState('paused')) {
+            gameManager.setGameState('paused');
         }
     }
 
+    // Gameplay hotkeys only work while the current state takes input
+    if (!gameManager || !gameManager.allowsInput()) return;
+
     // I - Inventory
     if (event.key === 'i' || event.key === 'I') {
         this.toggleInventory();
@@ -573,6 +1322,79 @@ UIController.prototype.onKeyDown = function(event) {
     if (event.key === 'q' || event.key === 'Q') {
         this.toggleQuests();
     }
+
+    // H - Achievements
+    if (event.key === 'h' || event.key === 'H') {
+        this.toggleAchievements();
+    }
+};
+
+// ============================================================================
+// Developer Console
+// ============================================================================
+
+UIController.prototype.toggleDevConsole = function() {
+    // Release builds may leave dev-console.js out altogether
+    if (typeof DevConsole === 'undefined' || !DevConsole.getInstance() || !this.debugPanel) return;
+
+    this.debugPanel.classList.toggle('hidden');
+    if (!this.debugPanel.classList.contains('hidden') && this.consoleInput) {
+        this.consoleInput.focus();
+    }
+};
+
+UIController.prototype.onConsoleKeyDown = function(event) {
+    var devConsole = DevConsole.getInstance();
+    event.stopPropagation();
+    if (!devConsole) return;
+
+    var input = this.consoleInput;
+    var history = devConsole.getHistory();
+
+    if (event.key === 'Enter') {
+        devConsole.execute(input.value);
+        input.value = '';
+        this.consoleHistoryIndex = -1;
+    } else if (event.key === 'Tab') {
+        event.preventDefault();
+        var completion = devConsole.complete(input.value);
+        input.value = completion.line;
+        if (completion.candidates.length > 1) {
+            this.onConsoleOutput(completion.candidates.join('  '), 'input');
+        }
+    } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+        event.preventDefault();
+        if (history.length === 0) return;
+
+        var index = this.consoleHistoryIndex === -1 ? history.length : this.consoleHistoryIndex;
+        index += event.key === 'ArrowUp' ? -1 : 1;
+        if (index >= history.length) {
+            this.consoleHistoryIndex = -1;
+            input.value = '';
+            return;
+        }
+        this.consoleHistoryIndex = Math.max(index, 0);
+        input.value = history[this.consoleHistoryIndex];
+    } else if (event.key === 'Escape' || event.key === '`') {
+        event.preventDefault();
+        input.blur();
+        this.toggleDevConsole();
+    }
+};
+
+UIController.prototype.onConsoleOutput = function(text, level) {
+    if (!this.consoleOutput) return;
+
+    var line = document.createElement('div');
+    line.className = level;
+    line.textContent = text;
+    this.consoleOutput.appendChild(line);
+
+    // Keep the last 200 lines
+    while (this.consoleOutput.childNodes.length > 200) {
+        this.consoleOutput.removeChild(this.consoleOutput.firstChild);
+    }
+    this.consoleOutput.scrollTop = this.consoleOutput.scrollHeight;
 };
 
 // ============================================================================
@@ -594,11 +1416,104 @@ UIController.prototype.setupMobileControls = function() {
 };
 
 // ============================================================================
-// Utilities
+// Localization
 // ============================================================================
 
+// Before the string tables load (or without a LocalizationManager) keys and
+// data text are shown as-is
+UIController.prototype.t = function(key, params) {
+    var localization = LocalizationManager.getInstance();
+    return localization ? localization.t(key, params) : key;
+};
+
+UIController.prototype.contentText = function(kind, id, field, fallback) {
+    var localization = LocalizationManager.getInstance();
+    return localization ? localization.contentText(kind, id, field, fallback) : fallback;
+};
+
 UIController.prototype.formatNumber = function(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    var localization = LocalizationManager.getInstance();
+    return localization ? localization.formatNumber(num) : String(num);
+};
+
+// value is 0-100
+UIController.prototype.formatPercent = function(value) {
+    var localization = LocalizationManager.getInstance();
+    return localization ? localization.formatNumber(value / 100, { style: 'percent' }) : value + '%';
+};
+
+UIController.prototype.formatDate = function(timestamp) {
+    var localization = LocalizationManager.getInstance();
+    return localization ? localization.formatDate(timestamp) : new Date(timestamp).toLocaleString();
+};
+
+// Static markup names its keys: data-i18n for text, data-i18n-title and
+// data-i18n-placeholder for those attributes
+UIController.prototype.applyStaticTranslations = function() {
+    var localization = LocalizationManager.getInstance();
+    if (!localization) return;
+
+    document.documentElement.lang = localization.getLocale();
+
+    document.querySelectorAll('[data-i18n]').forEach(function(element) {
+        element.textContent = this.t(element.dataset.i18n);
+    }.bind(this));
+    document.querySelectorAll('[data-i18n-title]').forEach(function(element) {
+        element.title = this.t(element.dataset.i18nTitle);
+    }.bind(this));
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(function(element) {
+        element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    }.bind(this));
+};
+
+UIController.prototype.updateLanguageSelect = function() {
+    var localization = LocalizationManager.getInstance();
+    var select = document.getElementById('language-select');
+    if (!localization || !select) return;
+
+    select.innerHTML = '';
+    localization.getLocales().forEach(function(locale) {
+        var option = document.createElement('option');
+        option.value = locale.code;
+        option.textContent = locale.name;
+        select.appendChild(option);
+    });
+    select.value = localization.getLocale();
+};
+
+// Redraws everything that holds text, including an open dialogue
+UIController.prototype.onLocaleChanged = function() {
+    this.applyStaticTranslations();
+    this.updateLanguageSelect();
+
+    if (!this.gameHud.classList.contains('hidden')) {
+        this.updateAllHUD();
+    }
+    if (this.currentPanel === this.inventoryPanel) this.updateInventoryUI();
+    if (this.currentPanel === this.questPanel) this.updateQuestUI();
+    if (this.currentPanel === this.achievementsPanel) this.updateAchievementsUI();
+    if (this.currentPanel === this.saveSlotPanel) this.updateSaveSlotsUI();
+
+    var dialogueManager = DialogueManager.getInstance();
+    if (dialogueManager && dialogueManager.currentNode && !this.dialogueBox.classList.contains('hidden')) {
+        this.renderDialogue(dialogueManager.currentNode, dialogueManager.currentSource);
+    }
+};
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+UIController.prototype.formatPlaytime = function(seconds) {
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ?
+        this.t('ui.time.hoursMinutes', { hours: this.formatNumber(hours), minutes: minutes }) :
+        this.t('ui.time.minutes', { minutes: minutes });
+};
+
+UIController.prototype.formatGameDate = function(season, dayOfSeason) {
+    return this.t('ui.hud.date', { season: this.t('ui.season.' + season), day: this.formatNumber(dayOfSeason) });
 };
 
 UIController.prototype.update = function(dt) {